@@ -2,142 +2,1357 @@ import axios from "axios";
 import fs from "fs";
 import path from "path";
 import { logger } from "../utils/logger.js";
-import mpdParser from "mpd-parser";
-const { MpdParser } = mpdParser;
+import { inheritAttributes, stringToMpdXml, toM3u8, toPlaylists } from "mpd-parser";
 import pLimit from "p-limit";
-import { exec } from "child_process";
-import { promisify } from "util";
+import { fingerprintSegments, markLiveTask, openSegmentJournal } from "../utils/resumeStore.js";
+import { OrderedWriter } from "../utils/orderedWriter.js";
+import { assertContent, InvalidContentError } from "../utils/contentSniffer.js";
+import { attachChecksums, createHasher, getHashAlgorithms, updateFromFile } from "../utils/checksum.js";
+import { readStream } from "../utils/bandwidthLimiter.js";
+import { getCookieHeaders, refreshCookieHeader } from "../utils/cookieStore.js";
+import {
+  cleanupTempFiles,
+  formatDuration,
+  matchesLanguage,
+  readFileHead,
+  scaleProgress,
+  validateLiveOptions,
+  waitOrStop,
+} from "../utils/streamUtils.js";
+import { detectContainer, selectTimeRange, summarizeGaps } from "../utils/videoUtils.js";
+import { concatWithFfmpeg, getFfmpegPath, muxAudioVideo, remuxToFormat, trimToClip } from "../utils/ffmpeg.js";
 
-const execAsync = promisify(exec);
+/**
+ * 直播录制开始时，从直播点往前保留的片段数量
+ */
+const LIVE_EDGE_SEGMENTS = 3;
+
+/**
+ * 按顺序写入时，内存中等待写入的片段最多占用的字节数
+ */
+const MAX_REORDER_BUFFER_BYTES = 64 * 1024 * 1024;
+
+/**
+ * 获取浏览器请求头，避免被服务器拒绝
+ * @param {string} url - 请求的 URL
+ * @param {object} extraHeaders - 额外的请求头
+ * @returns {object} 请求头对象
+ */
+function getBrowserHeaders(url, extraHeaders = {}) {
+  try {
+    const urlObj = new URL(url);
+    const referer = urlObj.origin + urlObj.pathname.substring(0, urlObj.pathname.lastIndexOf('/') + 1);
+    
+    return {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': '*/*',
+      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Referer': referer,
+      'Origin': urlObj.origin,
+      'Connection': 'keep-alive',
+      'Sec-Fetch-Dest': 'empty',
+      'Sec-Fetch-Mode': 'cors',
+      'Sec-Fetch-Site': 'same-origin',
+      ...getCookieHeaders(url),
+      ...extraHeaders
+    };
+  } catch (error) {
+    // 如果 URL 解析失败，返回基本请求头
+    return {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': '*/*',
+      ...extraHeaders
+    };
+  }
+}
+
+/**
+ * 下载 DASH (mpd) 流媒体
+ *
+ * @param {string} mpdUrl - MPD 清单文件 URL
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @returns {Promise<object>} 下载结果
+ */
+export async function downloadDASH(mpdUrl, outputPath, options = {}) {
+  const { onProgress = null } = options;
+
+  try {
+    logger.info(`下载 MPD 文件: ${mpdUrl}`);
+
+    // 更新进度：开始下载MPD文件
+    if (onProgress) {
+      onProgress(5, "正在下载 MPD 文件...");
+    }
+
+    // 1. 下载并解析 MPD 文件
+    const mpdContent = await fetchManifest(mpdUrl);
+
+    // 解析 MPD（每个 Period 单独解析，避免不同 Period 的表示混在一起）
+    const periods = parsePeriods(mpdContent, mpdUrl);
+
+    if (periods.length === 0) {
+      throw new Error("MPD 清单中没有找到播放列表");
+    }
+
+    // 动态 MPD（type="dynamic"）是直播流，进入录制模式
+    if (periods[0].attributes.type === "dynamic" && options.live !== false) {
+      logger.info(`检测到动态 MPD，开始录制直播: ${mpdUrl}`);
+
+      const liveError = validateLiveOptions(options);
+      if (liveError) {
+        throw new Error(liveError);
+      }
+      if (options.taskId) {
+        markLiveTask(options.taskId);
+      }
+
+      const result = await recordLiveDASH(mpdUrl, outputPath, options, { content: mpdContent, periods });
+
+      return await attachChecksums(
+        {
+          success: true,
+          url: mpdUrl,
+          ...result,
+          message: "录制完成",
+        },
+        options
+      );
+    }
+
+    if (periods.length > 1) {
+      return await attachChecksums(await downloadPeriods(periods, mpdUrl, outputPath, options), options);
+    }
+
+    // 2-3. 选择视频流和音频轨道
+    const tracks = selectTracks(periods[0].manifest, getSelectionCriteria(options));
+
+    // 4-5. 提取片段，下载并合并
+    return await attachChecksums(await downloadTracks(tracks, mpdUrl, outputPath, options), options);
+  } catch (error) {
+    logger.error("下载 DASH 流失败:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * 探测 DASH 清单，用于检测结果：视频表示列表、总时长、加密 / DRM 和估算大小
+ * 各表示的大小按码率（加上默认音频轨道的码率）乘以总时长估算
+ *
+ * @param {string} mpdUrl - MPD 清单文件 URL
+ * @returns {Promise<object>} { kind, live, duration, segments, variants, encrypted, encryption, drm, estimatedSize }
+ */
+export async function probeDASH(mpdUrl) {
+  const mpdContent = await fetchManifest(mpdUrl);
+  const periods = parsePeriods(mpdContent, mpdUrl);
+  if (periods.length === 0) {
+    throw new Error("MPD 清单中没有找到播放列表");
+  }
+
+  const { attributes, manifest } = periods[0];
+  const live = attributes.type === "dynamic";
+  const duration = live ? null : getManifestDuration(periods);
+  const { encryption, drm } = findContentProtection(mpdContent);
+
+  const variants = (manifest.playlists || [])
+    .filter((pl) => pl.attributes && pl.attributes.BANDWIDTH)
+    .map((playlist) => {
+      const audioTrack = selectAudioTrack(manifest, playlist);
+      const bandwidth = playlist.attributes.BANDWIDTH + ((audioTrack && audioTrack.bandwidth) || 0);
+      return {
+        ...getRepresentationInfo(playlist),
+        audioBandwidth: (audioTrack && audioTrack.bandwidth) || null,
+        estimatedSize: duration ? Math.round((bandwidth / 8) * duration) : null,
+      };
+    })
+    .sort((a, b) => b.bandwidth - a.bandwidth || (b.height || 0) - (a.height || 0));
+
+  // 与下载时相同，各 Period 选择与第一个 Period 同类的视频流，统计片段数量
+  let segments = 0;
+  let reference = null;
+  for (const period of periods) {
+    if ((period.manifest.playlists || []).some((pl) => pl.attributes && pl.attributes.BANDWIDTH)) {
+      reference = selectVideoPlaylist(period.manifest, {}, reference);
+      segments += (reference.segments || []).length;
+    }
+  }
+
+  return {
+    kind: "mpd",
+    live,
+    duration,
+    segments: segments || null, // SegmentBase 单文件表示需要读取 sidx 才知道片段数量
+    periods: periods.length,
+    variants,
+    encrypted: encryption !== null || drm.length > 0,
+    encryption,
+    drm,
+    estimatedSize: variants.length > 0 ? variants[0].estimatedSize : null,
+  };
+}
+
+/**
+ * 点播清单的总时长（秒）：mediaPresentationDuration，没有时按各 Period 的时长相加
+ */
+function getManifestDuration(periods) {
+  const { sourceDuration } = periods[0].attributes;
+  if (Number.isFinite(sourceDuration) && sourceDuration > 0) {
+    return sourceDuration;
+  }
+
+  const total = periods.reduce((sum, period) => sum + (period.duration || 0), 0);
+  return total > 0 ? total : null;
+}
+
+/**
+ * ContentProtection 的 schemeIdUri 对应的 DRM 系统
+ */
+const DRM_SCHEMES = {
+  "urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed": "Widevine",
+  "urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95": "PlayReady",
+  "urn:uuid:94ce86fb-07ff-4f43-adb8-93d2fa968ca2": "FairPlay",
+  "urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e": "ClearKey",
+  "urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b": "ClearKey",
+};
+
+/**
+ * 从 MPD 文本中查找 ContentProtection
+ * mp4protection 的 value 为加密方式（cenc、cbcs），其他 schemeIdUri 为 DRM 系统
+ *
+ * @returns {object} { encryption, drm }
+ */
+function findContentProtection(mpdContent) {
+  let encryption = null;
+  const drm = new Set();
+
+  for (const [, attributes] of mpdContent.matchAll(/<(?:\w+:)?ContentProtection\b([^>]*)>/g)) {
+    const scheme = /schemeIdUri="([^"]*)"/.exec(attributes);
+    const value = /\svalue="([^"]*)"/.exec(attributes);
+    if (!scheme) {
+      continue;
+    }
+
+    const schemeIdUri = scheme[1].toLowerCase();
+    if (schemeIdUri === "urn:mpeg:dash:mp4protection:2011") {
+      encryption = encryption || (value && value[1]) || "cenc";
+    } else {
+      drm.add(DRM_SCHEMES[schemeIdUri] || scheme[1]);
+    }
+  }
+
+  return { encryption, drm: [...drm] };
+}
+
+/**
+ * 录制直播（动态）DASH 流
+ * 按 minimumUpdatePeriod 重新获取 MPD（未指定时 MPD 不会变化，按当前时间重新计算可用的片段），
+ * 根据 availabilityStartTime、timeShiftBufferDepth 只下载当前可用的新片段（$Number$ / $Time$ / SegmentTimeline），
+ * MPD 变为 static、达到 maxDuration 或收到停止请求时结束录制并封装
+ *
+ * @param {string} mpdUrl - MPD 清单文件 URL
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @param {object} initial - 首次获取的 { content, periods }
+ * @returns {Promise<object>} 录制结果
+ */
+async function recordLiveDASH(mpdUrl, outputPath, options, initial) {
+  const {
+    concurrency = 5,
+    retries = 3,
+    tempDir = path.join(process.cwd(), "temp"),
+    onProgress = null,
+    maxDuration = null, // 最长录制时长（秒）
+    signal = null, // 停止录制的信号（AbortSignal）
+    outputFormat = "mp4", // 输出容器格式：mp4 | mkv | ts
+    bandwidthBucket = null, // 任务限速的令牌桶
+  } = options;
+
+  // 确保临时目录存在
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  const segmentDir = path.join(tempDir, `dash_live_${Date.now()}`);
+
+  try {
+    fs.mkdirSync(segmentDir, { recursive: true });
+
+    const limit = pLimit(concurrency);
+    const tracks = {
+      video: createLiveTrack(path.join(segmentDir, "video")),
+      audio: createLiveTrack(path.join(segmentDir, "audio")),
+    };
+    const criteria = getSelectionCriteria(options);
+    const selections = new Map(); // Period 开始时间 -> 所选的 { videoPlaylist, audioTrack }
+    let reference = null; // 第一个 Period 的选择，之后的 Period 选择同类的轨道
+    let manifestUrl = mpdUrl;
+    let content = initial.content;
+    let periods = initial.periods;
+    let lastFetch = Date.now();
+    let manifestFailures = 0;
+    let skippedSegments = 0;
+    let stopReason = null;
+
+    const reportProgress = () => {
+      if (onProgress) {
+        const { duration, count } = tracks.video;
+        const progress = maxDuration ? (duration / maxDuration) * 100 : 0;
+        onProgress(
+          Math.min(progress, 99),
+          `已录制 ${formatDuration(duration)} (${count} 个片段)`,
+          { live: true, recordedDuration: duration, recordedSegments: count }
+        );
+      }
+    };
+
+    reportProgress();
+
+    while (!stopReason) {
+      const { attributes } = periods[0];
+      const now = Date.now() / 1000;
+
+      // 收集各 Period 中所选轨道的新片段
+      const newSegments = { video: [], audio: [] };
+      for (const period of periods) {
+        // 每次刷新都会生成新的播放列表对象，按表示 ID 找回之前选择的表示
+        let selection = selections.has(period.start) && findSelectedTracks(period.manifest, selections.get(period.start));
+        if (!selection) {
+          logger.info(`直播 Period 开始于 ${period.start}s`);
+          selection = selectTracks(period.manifest, criteria, reference);
+          reference = reference || selection;
+          selections.set(period.start, selection);
+        }
+        const { videoPlaylist, audioTrack } = selection;
+
+        newSegments.video.push(...getNewLiveSegments(videoPlaylist, attributes, now, tracks.video, manifestUrl));
+        if (audioTrack) {
+          newSegments.audio.push(...getNewLiveSegments(audioTrack.playlist, attributes, now, tracks.audio, manifestUrl));
+        }
+      }
+
+      // 首次只从直播点附近开始录制，不下载整个时移窗口
+      if (tracks.video.lastTime === null) {
+        newSegments.video = newSegments.video.slice(-LIVE_EDGE_SEGMENTS);
+      }
+
+      // 达到最长录制时长时，只保留需要的片段
+      if (maxDuration) {
+        let remaining = maxDuration - tracks.video.duration;
+        newSegments.video = newSegments.video.filter((segment) => {
+          if (remaining <= 0) {
+            return false;
+          }
+          remaining -= segment.duration;
+          return true;
+        });
+      }
+
+      // 音频只录制视频覆盖的时间范围，与视频对齐
+      const lastVideo = newSegments.video[newSegments.video.length - 1];
+      const videoStart = tracks.video.startTime !== null ? tracks.video.startTime : lastVideo ? newSegments.video[0].time : null;
+      const videoEnd = lastVideo ? lastVideo.time + lastVideo.duration : tracks.video.endTime;
+      newSegments.audio = newSegments.audio.filter(
+        (segment) => videoStart !== null && segment.time + segment.duration > videoStart && segment.time < videoEnd
+      );
+
+      for (const [name, segments] of Object.entries(newSegments)) {
+        skippedSegments += await recordLiveSegments(tracks[name], segments, limit, retries, bandwidthBucket);
+      }
+
+      if (newSegments.video.length > 0) {
+        reportProgress();
+      }
+
+      if (attributes.type !== "dynamic") {
+        stopReason = "ended";
+      } else if (maxDuration && tracks.video.duration >= maxDuration) {
+        stopReason = "maxDuration";
+      } else if (signal && signal.aborted) {
+        stopReason = "stopped";
+      }
+
+      if (stopReason) {
+        break;
+      }
+
+      // 没有新片段时按片段时长的一半重新检查
+      const segmentDuration = tracks.video.lastDuration || 2;
+      const waitTime = (newSegments.video.length > 0 ? segmentDuration : segmentDuration / 2) * 1000;
+      await waitOrStop(waitTime, signal);
+
+      if (signal && signal.aborted) {
+        stopReason = "stopped";
+        break;
+      }
+
+      // 到达 minimumUpdatePeriod 时重新获取 MPD（Location 指定了新地址时使用新地址）
+      const { minimumUpdatePeriod } = attributes;
+      if (typeof minimumUpdatePeriod === "number" && Date.now() - lastFetch >= minimumUpdatePeriod * 1000) {
+        const location = periods[0].manifest.locations && periods[0].manifest.locations[0];
+        if (location) {
+          manifestUrl = resolveUrl(location, manifestUrl);
+        }
+
+        try {
+          content = await fetchManifest(manifestUrl);
+          lastFetch = Date.now();
+          manifestFailures = 0;
+        } catch (error) {
+          manifestFailures++;
+          logger.warn(`刷新直播 MPD 失败 (${manifestFailures}/${retries}): ${error.message}`);
+          if (manifestFailures >= retries) {
+            stopReason = "error";
+            break;
+          }
+        }
+      }
+
+      try {
+        const updated = parsePeriods(content, manifestUrl);
+        if (updated.length > 0) {
+          periods = updated;
+        }
+      } catch (error) {
+        logger.warn(`解析直播 MPD 失败: ${error.message}`);
+      }
+    }
+
+    logger.info(
+      `直播录制结束 (${stopReason})，共录制 ${tracks.video.count} 个片段，时长 ${formatDuration(tracks.video.duration)}`
+    );
+
+    if (tracks.video.count === 0) {
+      throw new Error("未录制到任何直播片段");
+    }
+
+    const container = detectContainer(readFileHead(tracks.video.streamPath));
+
+    if (onProgress) {
+      onProgress(99, "正在封装已录制的内容...", { live: true, recordedDuration: tracks.video.duration });
+    }
+
+    const output = await remuxToFormat(tracks.video.streamPath, outputPath, outputFormat, container);
+    const result = {
+      outputPath: output.outputPath,
+      container,
+      outputFormat: output.format,
+      remuxMethod: output.method,
+      video: getRepresentationInfo(reference.videoPlaylist),
+    };
+
+    if (tracks.audio.count > 0) {
+      await attachAudio(result, tracks.audio.streamPath, detectContainer(readFileHead(tracks.audio.streamPath)));
+      const { playlist, ...audioInfo } = reference.audioTrack;
+      result.audio = audioInfo;
+    }
+
+    cleanupTempFiles(segmentDir);
+
+    const stats = fs.statSync(result.outputPath);
+
+    if (onProgress) {
+      onProgress(100, "录制完成", { live: true, recordedDuration: tracks.video.duration });
+    }
+
+    return {
+      ...result,
+      size: stats.size,
+      segments: tracks.video.count,
+      live: true,
+      recordedDuration: tracks.video.duration,
+      skippedSegments,
+      stopReason,
+    };
+  } catch (error) {
+    // 清理临时文件
+    cleanupTempFiles(segmentDir);
+    throw error;
+  }
+}
+
+/**
+ * 在刷新后的清单中找到之前选择的视频流和音频轨道，表示已不存在时返回 null
+ */
+function findSelectedTracks(manifest, selection) {
+  const videoPlaylist = (manifest.playlists || []).find(
+    (pl) => pl.attributes.NAME === selection.videoPlaylist.attributes.NAME
+  );
+  if (!videoPlaylist) {
+    return null;
+  }
+
+  if (!selection.audioTrack) {
+    return { videoPlaylist, audioTrack: null };
+  }
+
+  const { label, playlist } = selection.audioTrack;
+  const group = (manifest.mediaGroups && manifest.mediaGroups.AUDIO && manifest.mediaGroups.AUDIO.audio) || {};
+  const audioPlaylist =
+    group[label] && group[label].playlists.find((pl) => pl.attributes.NAME === playlist.attributes.NAME);
+
+  return audioPlaylist ? { videoPlaylist, audioTrack: { ...selection.audioTrack, playlist: audioPlaylist } } : null;
+}
+
+/**
+ * 直播录制的轨道状态：片段按展示时间顺序追加写入 streamPath
+ */
+function createLiveTrack(streamPath) {
+  return {
+    streamPath,
+    initData: new Map(), // 初始化片段标识 -> 数据
+    currentInitKey: null,
+    startTime: null, // 已录制的第一个片段的展示时间（秒）
+    lastTime: null, // 已处理的最后一个片段的展示时间（秒）
+    lastDuration: null,
+    endTime: 0,
+    duration: 0,
+    count: 0,
+  };
+}
+
+/**
+ * 播放列表中当前可用、且尚未录制的片段
+ * 片段在 availabilityStartTime + 片段结束时间之后才可下载，早于 timeShiftBufferDepth 的片段已不可用
+ */
+function getNewLiveSegments(playlist, attributes, now, track, manifestUrl) {
+  const { availabilityStartTime = 0, timeShiftBufferDepth = null } = attributes;
+  const liveTime = now - availabilityStartTime;
+
+  const available = (playlist.segments || []).filter((segment) => {
+    const time = segment.presentationTime;
+    if (typeof time !== "number") {
+      return false;
+    }
+    if (track.lastTime !== null && time <= track.lastTime + 0.001) {
+      return false;
+    }
+    if (attributes.type === "dynamic" && time + segment.duration > liveTime) {
+      return false;
+    }
+    return !(timeShiftBufferDepth && time + segment.duration < liveTime - timeShiftBufferDepth);
+  });
+
+  return extractSegments({ segments: available }, manifestUrl).map((segment, index) => ({
+    ...segment,
+    time: available[index].presentationTime,
+  }));
+}
+
+/**
+ * 下载一轮直播片段，按展示时间顺序追加到轨道文件，初始化片段在首次出现或切换时插入
+ *
+ * @returns {Promise<number>} 跳过（下载失败）的片段数量
+ */
+async function recordLiveSegments(track, segments, limit, retries, bandwidthBucket) {
+  if (segments.length === 0) {
+    return 0;
+  }
+
+  // 初始化片段发生变化时下载新的初始化片段
+  for (const { map } of segments) {
+    if (map && !track.initData.has(getInitSegmentKey(map))) {
+      track.initData.set(getInitSegmentKey(map), await fetchSegmentData(map.uri, retries, map.byterange, bandwidthBucket));
+    }
+  }
+
+  const results = await Promise.all(
+    segments.map((segment) =>
+      limit(async () => {
+        try {
+          return await fetchSegmentData(segment.uri, retries, segment.byterange, bandwidthBucket);
+        } catch (error) {
+          // 直播片段过期后无法重新获取，跳过继续录制
+          logger.warn(`跳过直播片段 (${segment.time}s): ${error.message}`);
+          return null;
+        }
+      })
+    )
+  );
+
+  let skipped = 0;
+  for (const [index, segment] of segments.entries()) {
+    track.lastTime = segment.time;
+    track.lastDuration = segment.duration;
+
+    if (!results[index]) {
+      skipped++;
+      continue;
+    }
+    if (segment.map && getInitSegmentKey(segment.map) !== track.currentInitKey) {
+      track.currentInitKey = getInitSegmentKey(segment.map);
+      fs.appendFileSync(track.streamPath, track.initData.get(track.currentInitKey));
+    }
+    fs.appendFileSync(track.streamPath, results[index]);
+
+    if (track.startTime === null) {
+      track.startTime = segment.time;
+    }
+    track.endTime = segment.time + segment.duration;
+    track.duration += segment.duration;
+    track.count++;
+  }
+
+  return skipped;
+}
+
+/**
+ * 下载 MPD 清单文本（失败时重试）
+ *
+ * @param {string} mpdUrl - MPD 清单文件 URL
+ * @returns {Promise<string>} MPD 内容
+ */
+async function fetchManifest(mpdUrl) {
+  const mpdRetries = 3;
+
+  for (let attempt = 1; attempt <= mpdRetries; attempt++) {
+    try {
+      if (attempt > 1) {
+        logger.info(`下载 MPD 文件 (重试 ${attempt}/${mpdRetries}): ${mpdUrl}`);
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+
+      const mpdResponse = await axios.get(mpdUrl, {
+        headers: getBrowserHeaders(mpdUrl),
+        timeout: 30000,
+        maxRedirects: 5,
+        beforeRedirect: refreshCookieHeader,
+        validateStatus: (status) => status < 500
+      });
+
+      if (mpdResponse.status >= 400) {
+        throw new Error(`HTTP ${mpdResponse.status}: ${mpdResponse.statusText}`);
+      }
+
+      return mpdResponse.data;
+    } catch (error) {
+      const errorMsg = error.message || error.toString();
+
+      if (attempt === mpdRetries) {
+        logger.error(`下载 MPD 文件失败 (${mpdRetries} 次重试): ${errorMsg}`);
+        throw new Error(`下载 MPD 文件失败: ${errorMsg}`);
+      } else {
+        logger.warn(`下载 MPD 文件失败，重试 ${attempt}/${mpdRetries}: ${errorMsg}`);
+      }
+    }
+  }
+}
+
+/**
+ * 按 Period 分别解析 MPD
+ * mpd-parser 的 parse 会按表示 ID 把各 Period 合并为一个播放列表，
+ * 广告插入等场景下各 Period 的表示 ID 不同，会得到只包含部分 Period 的播放列表
+ *
+ * @param {string} mpdContent - MPD 内容
+ * @param {string} mpdUrl - MPD 清单文件 URL
+ * @param {number} now - 当前时间（毫秒），动态 MPD 按该时间计算可用的片段
+ * @returns {Array<object>} { index, start, duration, attributes, manifest }，按开始时间排列
+ */
+function parsePeriods(mpdContent, mpdUrl, now = Date.now()) {
+  const { representationInfo, locations } = inheritAttributes(stringToMpdXml(mpdContent), {
+    manifestUri: mpdUrl,
+    NOW: now,
+  });
+
+  const groups = new Map(); // Period 开始时间 -> 表示列表
+  for (const representation of representationInfo) {
+    const start = representation.attributes.periodStart;
+    if (!groups.has(start)) {
+      groups.set(start, []);
+    }
+    groups.get(start).push(representation);
+  }
+
+  const starts = [...groups.keys()].sort((a, b) => a - b);
+
+  return starts.map((start, index) => {
+    const representations = groups.get(start);
+    const { periodDuration, sourceDuration } = representations[0].attributes;
+
+    // 没有 duration 的 Period（通常是最后一个）按下一个 Period 的开始时间或清单总时长计算，
+    // 否则 mpd-parser 会按整个清单的时长生成片段
+    let duration = periodDuration;
+    if (typeof duration !== "number") {
+      duration = index < starts.length - 1 ? starts[index + 1] - start : sourceDuration - start;
+      if (Number.isFinite(duration) && starts.length > 1) {
+        for (const representation of representations) {
+          representation.attributes.periodDuration = duration;
+        }
+      }
+    }
+
+    const dashPlaylists = toPlaylists(representations);
+    const manifest = toM3u8({ dashPlaylists, locations });
+
+    // 记录视频流所属自适应集的角色、语言，用于在各 Period 中选择一致的视频流
+    const adaptations = new Map(dashPlaylists.map(({ attributes }) => [attributes.id, attributes]));
+    for (const playlist of manifest.playlists || []) {
+      const attributes = adaptations.get(playlist.attributes.NAME) || {};
+      playlist.adaptation = {
+        role: (attributes.role && attributes.role.value) || "",
+        language: attributes.lang || "",
+      };
+    }
+
+    return {
+      index,
+      start,
+      duration: Number.isFinite(duration) ? duration : null,
+      attributes: representations[0].attributes,
+      manifest,
+    };
+  });
+}
+
+/**
+ * 选择视频流和对应的音频轨道
+ * 指定 reference（第一个 Period 的选择）时，选择同一类自适应集（角色、语言、编码）中码率最接近的表示
+ *
+ * @param {object} manifest - mpd-parser 生成的清单
+ * @param {object} criteria - 选择条件 { maxHeight, maxBandwidth, preferCodecs, language }
+ * @param {object} reference - 第一个 Period 的选择（可选）
+ * @returns {object} { videoPlaylist, audioTrack }
+ */
+function selectTracks(manifest, criteria = {}, reference = null) {
+  const videoPlaylist = selectVideoPlaylist(manifest, criteria, reference && reference.videoPlaylist);
+  logger.info(`选择视频流: ${describeRepresentation(videoPlaylist)}`);
+
+  // 选择与视频流对应的独立音频轨道（mediaGroups.AUDIO）
+  const audioTrack = selectAudioTrack(manifest, videoPlaylist, criteria.language, reference && reference.audioTrack);
+  if (audioTrack) {
+    logger.info(
+      `选择音频流: ${audioTrack.label}${audioTrack.language ? ` (${audioTrack.language})` : ""}，码率: ${audioTrack.bandwidth || "未知"} bps`
+    );
+  }
+
+  return { videoPlaylist, audioTrack };
+}
+
+/**
+ * 从下载选项中取出视频流、音频轨道的选择条件
+ */
+function getSelectionCriteria(options) {
+  const { maxHeight = null, maxBandwidth = null, preferCodecs = null, language = null } = options;
+  return {
+    maxHeight,
+    maxBandwidth,
+    preferCodecs: typeof preferCodecs === "string" ? [preferCodecs] : preferCodecs,
+    language,
+  };
+}
+
+/**
+ * 选择视频流
+ * 先按 maxHeight、maxBandwidth 过滤，再按 preferCodecs 的顺序选择编码，最后选择码率最高的；
+ * 指定 reference 时在满足条件的表示中选择同类自适应集中码率最接近的
+ */
+function selectVideoPlaylist(manifest, criteria = {}, reference = null) {
+  const { maxHeight = null, maxBandwidth = null, preferCodecs = null } = criteria;
+
+  // 按码率从高到低排序（码率相同时按分辨率）
+  let candidates = (manifest.playlists || [])
+    .filter((pl) => pl.attributes && pl.attributes.BANDWIDTH)
+    .sort((a, b) => b.attributes.BANDWIDTH - a.attributes.BANDWIDTH || getHeight(b) - getHeight(a));
+
+  if (candidates.length === 0) {
+    throw new Error("未找到有效的视频流");
+  }
+
+  if (maxHeight || maxBandwidth) {
+    const matched = candidates.filter(
+      (pl) =>
+        (!maxHeight || !getHeight(pl) || getHeight(pl) <= maxHeight) &&
+        (!maxBandwidth || pl.attributes.BANDWIDTH <= maxBandwidth)
+    );
+
+    if (matched.length > 0) {
+      candidates = matched;
+    } else {
+      // 没有满足条件的表示时，退而选择最低画质
+      logger.warn(`没有满足条件的视频流 ${JSON.stringify({ maxHeight, maxBandwidth })}，使用最低画质`);
+      candidates = candidates.slice(-1);
+    }
+  }
+
+  if (preferCodecs && preferCodecs.length > 0) {
+    const preferred = preferCodecs
+      .map((codec) => candidates.filter((pl) => matchesCodec(pl.attributes.CODECS, codec)))
+      .find((matched) => matched.length > 0);
+
+    if (preferred) {
+      candidates = preferred;
+    } else {
+      logger.warn(`没有 ${preferCodecs.join("、")} 编码的视频流，使用其他编码`);
+    }
+  }
+
+  if (!reference) {
+    return candidates[0];
+  }
+
+  const matched = candidates.filter((pl) => getAdaptationKey(pl) === getAdaptationKey(reference));
+  if (matched.length > 0) {
+    candidates = matched;
+  } else {
+    logger.warn(`没有与之前 Period 相同类型的视频流（${getAdaptationKey(reference)}），改为按码率选择`);
+  }
+
+  return pickClosestBandwidth(candidates, reference.attributes.BANDWIDTH);
+}
+
+/**
+ * 编码名称的常用别名（preferCodecs 可以写 h264、hevc、av1、vp9）
+ */
+const CODEC_ALIASES = {
+  h264: ["avc1", "avc3"],
+  avc: ["avc1", "avc3"],
+  h265: ["hvc1", "hev1"],
+  hevc: ["hvc1", "hev1"],
+  av1: ["av01"],
+  vp9: ["vp09", "vp9"],
+  vp8: ["vp08", "vp8"],
+};
+
+/**
+ * CODECS 中的视频编码是否为指定的编码（如 avc1、h264、av01）
+ */
+function matchesCodec(codecs, codec) {
+  const wanted = codec.toLowerCase();
+  const prefixes = CODEC_ALIASES[wanted] || [wanted];
+  return (codecs || "")
+    .toLowerCase()
+    .split(",")
+    .some((item) => prefixes.some((prefix) => item.trim().startsWith(prefix)));
+}
+
+/**
+ * 视频流的高度，未知时返回 0
+ */
+function getHeight(playlist) {
+  return (playlist.attributes.RESOLUTION && playlist.attributes.RESOLUTION.height) || 0;
+}
+
+/**
+ * 所选视频流的信息（返回给调用方）
+ */
+function getRepresentationInfo(playlist) {
+  const { NAME, BANDWIDTH, CODECS, RESOLUTION } = playlist.attributes;
+  return {
+    id: NAME || null,
+    bandwidth: BANDWIDTH || null,
+    width: RESOLUTION ? RESOLUTION.width : null,
+    height: RESOLUTION ? RESOLUTION.height : null,
+    codecs: CODECS || null,
+    frameRate: playlist.attributes["FRAME-RATE"] || null,
+  };
+}
+
+/**
+ * 视频流的可读描述
+ */
+function describeRepresentation(playlist) {
+  const { width, height, bandwidth, codecs } = getRepresentationInfo(playlist);
+  const parts = [];
+  if (height) {
+    parts.push(`${width}x${height}`);
+  }
+  if (bandwidth) {
+    parts.push(`${Math.round(bandwidth / 1000)} kbps`);
+  }
+  if (codecs) {
+    parts.push(codecs);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * 视频流所属自适应集的标识：角色、语言和编码类型（如 avc1、hvc1）
+ */
+function getAdaptationKey(playlist) {
+  const { role = "", language = "" } = playlist.adaptation || {};
+  return `${role}|${language}|${getCodecFamily(playlist.attributes.CODECS)}`;
+}
+
+/**
+ * 编码类型（codecs 的第一段，如 avc1.64001f -> avc1）
+ */
+function getCodecFamily(codecs) {
+  return (codecs || "").split(".")[0];
+}
+
+/**
+ * 选择码率与目标最接近的播放列表
+ */
+function pickClosestBandwidth(playlists, bandwidth) {
+  const getBandwidth = (pl) => (pl.attributes && pl.attributes.BANDWIDTH) || 0;
+  return [...playlists].sort(
+    (a, b) => Math.abs(getBandwidth(a) - bandwidth) - Math.abs(getBandwidth(b) - bandwidth)
+  )[0];
+}
+
+/**
+ * 提取片段并下载视频（以及独立的音频轨道）
+ */
+async function downloadTracks({ videoPlaylist, audioTrack }, mpdUrl, outputPath, options) {
+  const { onProgress = null, start = null, end = null, retries = 3 } = options;
+
+  // 4. 提取片段（SegmentBase 单文件表示先解析 sidx 索引，按时间范围只保留有重叠的片段）
+  await loadSegmentIndex(videoPlaylist, retries);
+  const video = prepareTrack(videoPlaylist, mpdUrl, start, end);
+  logger.info(`找到 ${video.segments.length} 个视频片段`);
+
+  if (video.segments.length === 0) {
+    throw new Error("未找到视频片段");
+  }
+
+  // 更新进度：开始下载
+  if (onProgress) {
+    onProgress(10, `找到 ${video.segments.length} 个片段，开始下载...`);
+  }
+
+  // 5. 下载片段并合并
+  let result;
+  if (!audioTrack) {
+    result = await downloadSegmentsAndMerge(video.segments, mpdUrl, outputPath, { ...options, clip: video.clip });
+  } else {
+    await loadSegmentIndex(audioTrack.playlist, retries);
+    const audio = prepareTrack(audioTrack.playlist, mpdUrl, start, end);
+    if (audio.segments.length === 0) {
+      throw new Error("未找到音频片段");
+    }
+    logger.info(`找到 ${audio.segments.length} 个音频片段`);
+
+    result = await downloadWithAudio(video, audio, audioTrack, mpdUrl, outputPath, options);
+  }
+
+  result.video = getRepresentationInfo(videoPlaylist);
+  result.segments = video.segments.length;
+  result.duration = getContentDuration(video.segments, result.clip);
+  result.message = getCompletionMessage([result]);
+  return result;
+}
+
+/**
+ * 下载完成的提示信息（gapPolicy 为 lenient 且有片段缺失时注明缺失数量，未能精确裁剪时间范围时同样注明）
+ */
+function getCompletionMessage(results) {
+  const missingCount = results.reduce(
+    (total, result) =>
+      total +
+      (result.missingSegments ? result.missingSegments.length : 0) +
+      (result.audio && result.audio.missingSegments ? result.audio.missingSegments.length : 0),
+    0
+  );
+  const notes = [];
+  if (missingCount > 0) {
+    notes.push(`缺少 ${missingCount} 个片段`);
+  }
+  if (results.some((result) => result.clip && !result.clip.accurate)) {
+    notes.push("未能精确裁剪时间范围，首尾可能多出部分内容");
+  }
+  return notes.length > 0 ? `下载完成，${notes.join("，")}` : "下载完成";
+}
+
+/**
+ * 输出内容的时长：精确裁剪时为时间范围，否则为所下载片段的总时长
+ */
+function getContentDuration(segments, clip = null) {
+  if (clip) {
+    return clip.accurate ? clip.duration : clip.rangeEnd - clip.rangeStart;
+  }
+  return segments.reduce((total, segment) => total + (segment.duration || 0), 0);
+}
+
+/**
+ * 下载包含多个 Period 的清单（广告插入、分章节内容）
+ * 每个 Period 单独下载为一个文件，再按顺序拼接；各 Period 在输出文件中的起止时间记录在结果的 periods 中
+ */
+async function downloadPeriods(periods, mpdUrl, outputPath, options) {
+  const {
+    tempDir = path.join(process.cwd(), "temp"),
+    onProgress = null,
+    taskId = null,
+    start = null,
+    end = null,
+  } = options;
+
+  logger.info(`清单包含 ${periods.length} 个 Period`);
+
+  // 按时间范围只保留有重叠的 Period，时间范围换算为 Period 内的时间
+  const selected = periods
+    .filter((period) => (start === null || start < getPeriodEnd(period)) && (end === null || end > period.start))
+    .map((period) => ({
+      period,
+      start: start !== null && start > period.start ? start - period.start : null,
+      end: end !== null && end < getPeriodEnd(period) ? end - period.start : null,
+    }));
+
+  if (selected.length === 0) {
+    const total = getPeriodEnd(periods[periods.length - 1]);
+    throw new Error(`时间范围超出视频时长: ${start || 0}s - ${end === null ? "结尾" : `${end}s`}（总时长 ${Number.isFinite(total) ? `${total.toFixed(3)}s` : "未知"}）`);
+  }
+
+  // 以第一个 Period 的选择为准，之后的 Period 选择同类的视频流和音频轨道
+  const criteria = getSelectionCriteria(options);
+  const reference = selectTracks(selected[0].period.manifest, criteria);
+
+  // 已完成的 Period 文件保存在任务目录中，断点续传时直接使用
+  const periodsDir = path.join(tempDir, `dash_${taskId || Date.now()}_periods`);
+  fs.mkdirSync(periodsDir, { recursive: true });
+  // 各 Period 的文件已按选择的轨道、时间范围和输出格式处理，这些选项变化时重新下载
+  const journal = openSegmentJournal(
+    periodsDir,
+    periods.length,
+    fingerprintSegments([], {
+      mpdUrl,
+      periods: selected.map(({ period }) => period.index),
+      criteria,
+      language: options.language || null,
+      start,
+      end,
+      outputFormat: options.outputFormat || "mp4",
+    })
+  );
+
+  const totalWeight = selected.reduce((total, { period }) => total + (period.duration || 1), 0);
+  let doneWeight = 0;
+  const results = [];
+
+  try {
+    for (const [i, item] of selected.entries()) {
+      const { period } = item;
+      const tracks = i === 0 ? reference : selectTracks(period.manifest, criteria, reference);
+      const name = `period_${period.index.toString().padStart(3, "0")}`;
+      const infoPath = path.join(periodsDir, `${name}.json`);
+
+      let result = loadCompletedPeriod(infoPath, journal);
+      if (result) {
+        logger.info(`断点续传: Period ${period.index + 1} 已下载完成`);
+      } else {
+        logger.info(`下载 Period ${period.index + 1}/${periods.length}（开始于 ${period.start}s）`);
+
+        const weight = period.duration || 1;
+        result = await downloadTracks(tracks, mpdUrl, path.join(periodsDir, `${name}.mp4`), {
+          ...options,
+          start: item.start,
+          end: item.end,
+          taskId: taskId ? `${taskId}_p${period.index}` : null,
+          onProgress: scaleProgress(
+            onProgress,
+            10 + (doneWeight / totalWeight) * 80,
+            10 + ((doneWeight + weight) / totalWeight) * 80,
+            `Period ${i + 1}/${selected.length}`
+          ),
+        });
+
+        journal.markCompleted(result.outputPath);
+        if (result.audioPath) {
+          journal.markCompleted(result.audioPath);
+        }
+        fs.writeFileSync(infoPath, JSON.stringify(result));
+      }
+
+      doneWeight += period.duration || 1;
+      results.push({ period, tracks, result });
+    }
+
+    // 拼接各 Period
+    if (onProgress) {
+      onProgress(90, "正在拼接各 Period...");
+    }
+
+    const first = results[0].result;
+    const basePath = outputPath.replace(/\.[^.\\/]+$/, "");
+    const finalOutputPath = `${basePath}.${first.outputFormat}`;
+    let audioPath = null;
+    let concatMethod;
+    let checksums = null;
+    let audioChecksums = null;
+
+    if (await getFfmpegPath()) {
+      await concatWithFfmpeg(
+        results.map(({ result }) => result.outputPath),
+        finalOutputPath,
+        periodsDir,
+        first.outputFormat
+      );
+      concatMethod = "ffmpeg";
+    } else {
+      logger.warn("未找到 ffmpeg，各 Period 直接按字节拼接，切换处可能无法正常播放");
+      const hasher = createHasher(getHashAlgorithms(options));
+      await mergeSegments(
+        results.map(({ result }) => result.outputPath),
+        finalOutputPath,
+        hasher
+      );
+      checksums = hasher.digest();
+      if (first.audioPath) {
+        audioPath = basePath + first.audioPath.slice(first.audioPath.lastIndexOf(".audio"));
+        const audioHasher = createHasher(getHashAlgorithms(options));
+        await mergeSegments(
+          results.map(({ result }) => result.audioPath).filter(Boolean),
+          audioPath,
+          audioHasher
+        );
+        audioChecksums = audioHasher.digest();
+      }
+      concatMethod = "binary";
+    }
+
+    // 各 Period 在输出文件中的起止时间，缺失片段的时间换算为清单中的时间
+    let position = 0;
+    const shiftGaps = (gaps, period) =>
+      gaps.map((gap) => ({ ...gap, start: gap.start + period.start, end: gap.end + period.start }));
+    const periodInfo = results.map(({ period, tracks, result }) => {
+      const info = {
+        index: period.index,
+        start: position,
+        end: position + result.duration,
+        sourceStart: period.start,
+        segments: result.segments,
+        bandwidth: tracks.videoPlaylist.attributes.BANDWIDTH,
+        ...(result.audio && { audio: result.audio.label }),
+        ...(result.gaps && { missingSegments: result.missingSegments, gaps: shiftGaps(result.gaps, period) }),
+        ...(result.audio && result.audio.gaps && { audioGaps: shiftGaps(result.audio.gaps, period) }),
+      };
+      position = info.end;
+      return info;
+    });
+    const gaps = periodInfo.flatMap((info) => (info.gaps || []).map((gap) => ({ period: info.index, ...gap })));
+
+    cleanupTempFiles(periodsDir);
+
+    const stats = fs.statSync(finalOutputPath);
+    logger.info(`Period 拼接完成: ${finalOutputPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+
+    if (onProgress) {
+      onProgress(100, "下载完成");
+    }
+
+    return {
+      success: true,
+      url: mpdUrl,
+      outputPath: finalOutputPath,
+      size: stats.size,
+      mergeMethod: first.mergeMethod,
+      container: first.container,
+      outputFormat: first.outputFormat,
+      remuxMethod: first.remuxMethod,
+      concatMethod,
+      video: first.video,
+      segments: results.reduce((total, { result }) => total + result.segments, 0),
+      duration: position,
+      periods: periodInfo,
+      ...(gaps.length > 0 && { gaps }),
+      ...(first.audio && { audio: first.audio, muxed: first.muxed }),
+      ...(audioPath && { audioPath }),
+      ...(checksums && { checksums }),
+      ...(audioChecksums && { audioChecksums }),
+      ...((start !== null || end !== null) && {
+        clip: {
+          start: start || 0,
+          end: end === null ? getPeriodEnd(selected[selected.length - 1].period) : end,
+          accurate: results.every(({ result }) => !result.clip || result.clip.accurate),
+        },
+      }),
+      message: getCompletionMessage(results.map(({ result }) => result)),
+    };
+  } catch (error) {
+    if (taskId) {
+      logger.warn(`下载中断，已保留已完成的 Period: ${periodsDir}`);
+    } else {
+      cleanupTempFiles(periodsDir);
+    }
+    throw error;
+  }
+}
 
 /**
- * 获取浏览器请求头，避免被服务器拒绝
- * @param {string} url - 请求的 URL
- * @param {object} extraHeaders - 额外的请求头
- * @returns {object} 请求头对象
+ * Period 的结束时间，时长未知时为 Infinity
  */
-function getBrowserHeaders(url, extraHeaders = {}) {
+function getPeriodEnd(period) {
+  return period.duration === null ? Infinity : period.start + period.duration;
+}
+
+/**
+ * 读取已完成的 Period 下载结果，文件不完整时返回 null
+ */
+function loadCompletedPeriod(infoPath, journal) {
+  if (!fs.existsSync(infoPath)) {
+    return null;
+  }
+
   try {
-    const urlObj = new URL(url);
-    const referer = urlObj.origin + urlObj.pathname.substring(0, urlObj.pathname.lastIndexOf('/') + 1);
-    
-    return {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': '*/*',
-      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Referer': referer,
-      'Origin': urlObj.origin,
-      'Connection': 'keep-alive',
-      'Sec-Fetch-Dest': 'empty',
-      'Sec-Fetch-Mode': 'cors',
-      'Sec-Fetch-Site': 'same-origin',
-      ...extraHeaders
-    };
+    const result = JSON.parse(fs.readFileSync(infoPath, "utf-8"));
+    if (journal.isCompleted(result.outputPath) && (!result.audioPath || journal.isCompleted(result.audioPath))) {
+      return result;
+    }
   } catch (error) {
-    // 如果 URL 解析失败，返回基本请求头
-    return {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': '*/*',
-      ...extraHeaders
-    };
+    logger.warn(`读取 Period 下载结果失败: ${infoPath} - ${error.message}`);
   }
+  return null;
 }
 
 /**
- * 下载 DASH (mpd) 流媒体
+ * 选择视频流引用的音频组中的音频轨道
+ * 优先匹配 language，其次是默认轨道，同一轨道有多个码率时选择码率最高的；
+ * 指定 reference 时选择同一标签（语言、角色）的轨道中编码相同、码率最接近的表示
  *
- * @param {string} mpdUrl - MPD 清单文件 URL
- * @param {string} outputPath - 输出文件路径
- * @param {object} options - 选项
- * @returns {Promise<object>} 下载结果
+ * @returns {object|null} { label, language, bandwidth, codecs, playlist }
  */
-export async function downloadDASH(mpdUrl, outputPath, options = {}) {
-  const { onProgress = null } = options;
+function selectAudioTrack(manifest, videoPlaylist, language = null, reference = null) {
+  const audioGroups = (manifest.mediaGroups && manifest.mediaGroups.AUDIO) || {};
+  const group = audioGroups[videoPlaylist.attributes.AUDIO] || Object.values(audioGroups)[0];
+  if (!group) {
+    return null;
+  }
 
-  try {
-    logger.info(`下载 MPD 文件: ${mpdUrl}`);
+  const tracks = Object.entries(group)
+    .map(([label, track]) => ({ label, ...track }))
+    .filter((track) => track.playlists && track.playlists.length > 0);
+  const track =
+    (reference &&
+      (tracks.find((item) => item.label === reference.label) ||
+        tracks.find((item) => reference.language && item.language === reference.language))) ||
+    (language && tracks.find((item) => matchesLanguage(item.language, item.label, language))) ||
+    tracks.find((item) => item.default) ||
+    tracks[0];
+  if (!track) {
+    return null;
+  }
 
-    // 更新进度：开始下载MPD文件
-    if (onProgress) {
-      onProgress(5, "正在下载 MPD 文件...");
-    }
+  if (language && !reference && !matchesLanguage(track.language, track.label, language)) {
+    logger.warn(`没有 ${language} 语言的音频轨道，使用 ${track.label}`);
+  }
 
-    // 1. 下载并解析 MPD 文件
-    let mpdResponse;
-    const mpdRetries = 3;
-    let mpdLastError = null;
-    
-    for (let attempt = 1; attempt <= mpdRetries; attempt++) {
-      try {
-        if (attempt > 1) {
-          logger.info(`下载 MPD 文件 (重试 ${attempt}/${mpdRetries}): ${mpdUrl}`);
-          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
-        }
-        
-        mpdResponse = await axios.get(mpdUrl, {
-          headers: getBrowserHeaders(mpdUrl),
-          timeout: 30000,
-          maxRedirects: 5,
-          validateStatus: (status) => status < 500
-        });
-        
-        if (mpdResponse.status >= 400) {
-          throw new Error(`HTTP ${mpdResponse.status}: ${mpdResponse.statusText}`);
-        }
-        
-        break; // 成功，退出重试循环
-      } catch (error) {
-        mpdLastError = error;
-        const errorMsg = error.message || error.toString();
-        
-        if (attempt === mpdRetries) {
-          logger.error(`下载 MPD 文件失败 (${mpdRetries} 次重试): ${errorMsg}`);
-          throw new Error(`下载 MPD 文件失败: ${errorMsg}`);
-        } else {
-          logger.warn(`下载 MPD 文件失败，重试 ${attempt}/${mpdRetries}: ${errorMsg}`);
-        }
-      }
-    }
-    const mpdContent = mpdResponse.data;
+  let playlist;
+  if (reference) {
+    const sameCodec = track.playlists.filter(
+      (pl) => getCodecFamily(pl.attributes && pl.attributes.CODECS) === getCodecFamily(reference.codecs)
+    );
+    playlist = pickClosestBandwidth(sameCodec.length > 0 ? sameCodec : track.playlists, reference.bandwidth || 0);
+  } else {
+    playlist = [...track.playlists].sort(
+      (a, b) => ((b.attributes && b.attributes.BANDWIDTH) || 0) - ((a.attributes && a.attributes.BANDWIDTH) || 0)
+    )[0];
+  }
 
-    // 解析 MPD
-    const parser = new MpdParser();
-    const manifest = parser.parse(mpdContent, { url: mpdUrl });
+  return {
+    label: track.label,
+    language: track.language || null,
+    bandwidth: (playlist.attributes && playlist.attributes.BANDWIDTH) || null,
+    codecs: (playlist.attributes && playlist.attributes.CODECS) || null,
+    playlist,
+  };
+}
 
-    if (!manifest || !manifest.playlists || manifest.playlists.length === 0) {
-      throw new Error("MPD 清单中没有找到播放列表");
-    }
+/**
+ * 按时间范围选择片段并提取片段 URL（片段时长来自 SegmentTimeline / SegmentTemplate）
+ *
+ * @returns {object} { segments, clip }
+ */
+function prepareTrack(playlist, mpdUrl, start, end) {
+  let playlistSegments = playlist.segments || [];
+  let clip = null;
 
-    // 2. 选择最高质量的视频流
-    const videoPlaylist = manifest.playlists
-      .filter((pl) => pl.attributes && pl.attributes.BANDWIDTH)
-      .sort((a, b) => b.attributes.BANDWIDTH - a.attributes.BANDWIDTH)[0];
+  if (start !== null || end !== null) {
+    ({ segments: playlistSegments, clip } = selectTimeRange(playlistSegments, start, end));
+    logger.info(
+      `时间范围 ${clip.start}s - ${clip.end}s，下载 ${playlistSegments.length} 个片段 (${clip.rangeStart.toFixed(3)}s - ${clip.rangeEnd.toFixed(3)}s)`
+    );
+  }
 
-    if (!videoPlaylist) {
-      throw new Error("未找到有效的视频流");
-    }
+  return {
+    segments: extractSegments({ ...playlist, segments: playlistSegments }, mpdUrl),
+    clip,
+  };
+}
 
-    logger.info(`选择视频流，码率: ${videoPlaylist.attributes.BANDWIDTH} bps`);
+/**
+ * 同时下载视频和音频轨道，有 ffmpeg 时合成为一个文件，否则将音频保存在视频文件旁边
+ */
+async function downloadWithAudio(video, audio, audioTrack, mpdUrl, outputPath, options) {
+  const { tempDir = path.join(process.cwd(), "temp"), onProgress = null, taskId = null } = options;
 
-    // 3. 提取片段 URL
-    const segments = extractSegments(videoPlaylist, mpdUrl);
-    logger.info(`找到 ${segments.length} 个视频片段`);
+  // 视频占下载进度的 75%，音频占 25%，合成 90-100%
+  const trackProgress = { video: 0, audio: 0 };
+  const reportProgress = (track, label) =>
+    onProgress
+      ? (progress, message) => {
+          trackProgress[track] = progress;
+          const overall = 10 + ((trackProgress.video * 0.75 + trackProgress.audio * 0.25) / 100) * 80;
+          onProgress(overall, label && message ? `${label}: ${message}` : message);
+        }
+      : null;
 
-    if (segments.length === 0) {
-      throw new Error("未找到视频片段");
-    }
+  const [result, audioResult] = await Promise.all([
+    downloadSegmentsAndMerge(video.segments, mpdUrl, outputPath, {
+      ...options,
+      clip: video.clip,
+      onProgress: reportProgress("video"),
+    }),
+    downloadSegmentsAndMerge(audio.segments, mpdUrl, path.join(tempDir, `audio_${Date.now()}.mp4`), {
+      ...options,
+      clip: audio.clip,
+      taskId: taskId ? `${taskId}_audio` : null,
+      onProgress: reportProgress("audio", "音频"),
+    }),
+  ]);
 
-    // 更新进度：开始下载
-    if (onProgress) {
-      onProgress(10, `找到 ${segments.length} 个片段，开始下载...`);
+  if (onProgress && (await getFfmpegPath())) {
+    onProgress(90, "正在合成音视频...");
+  }
+  await attachAudio(result, audioResult.outputPath, audioResult.container);
+  if (result.audioPath && audioResult.checksums) {
+    result.audioChecksums = audioResult.checksums;
+  }
+
+  const { playlist, ...audioInfo } = audioTrack;
+  result.audio = audioResult.gaps
+    ? { ...audioInfo, missingSegments: audioResult.missingSegments, gaps: audioResult.gaps }
+    : audioInfo;
+  result.size = fs.statSync(result.outputPath).size;
+
+  if (onProgress) {
+    onProgress(100, "下载完成");
+  }
+
+  return result;
+}
+
+/**
+ * 将音频合成到视频文件中（不重新编码），没有 ffmpeg 时将音频保存在视频文件旁边
+ * 设置 result.muxed，未合成时设置 result.audioPath
+ *
+ * @param {object} result - 视频下载结果（outputPath、outputFormat）
+ * @param {string} audioFile - 音频文件，处理后会被删除或移动
+ * @param {string} audioContainer - 音频的容器格式（detectContainer 的结果）
+ */
+async function attachAudio(result, audioFile, audioContainer) {
+  if (await getFfmpegPath()) {
+    const muxedPath = result.outputPath.replace(/(\.[^.]+)?$/, ".muxed$1");
+    try {
+      await muxAudioVideo(result.outputPath, audioFile, muxedPath, result.outputFormat);
+      fs.renameSync(muxedPath, result.outputPath);
+    } finally {
+      for (const filePath of [muxedPath, audioFile]) {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
     }
 
-    // 4. 下载片段并合并
-    return await downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options);
-  } catch (error) {
-    logger.error("下载 DASH 流失败:", error.message);
-    throw error;
+    delete result.checksums;
+    result.muxed = true;
+    logger.info(`音视频合成完成: ${result.outputPath}`);
+  } else {
+    const audioExt = { fmp4: ".m4a", mp4: ".m4a", webm: ".webm" }[audioContainer] || ".aac";
+    const audioPath = result.outputPath.replace(/\.[^.]+$/, "") + `.audio${audioExt}`;
+    fs.renameSync(audioFile, audioPath);
+
+    result.muxed = false;
+    result.audioPath = audioPath;
+    logger.warn(`未找到 ffmpeg，音频已单独保存: ${audioPath}`);
   }
 }
 
@@ -150,6 +1365,12 @@ async function downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options) {
     retries = 3,
     tempDir = path.join(process.cwd(), "temp"),
     onProgress = null,
+    taskId = null, // 稳定的任务ID：指定后失败时保留已下载片段，可断点续传
+    outputFormat = "mp4", // 输出容器格式：mp4 | mkv | ts
+    clip = null, // 时间范围（selectTimeRange 的结果），需要精确裁剪
+    maxBufferedBytes = MAX_REORDER_BUFFER_BYTES, // 重排缓冲区内存上限，超出后暂存到磁盘
+    gapPolicy = "strict", // 片段下载失败时：strict 任务失败，lenient 跳过并在结果中列出
+    bandwidthBucket = null, // 任务限速的令牌桶
   } = options;
 
   // 确保临时目录存在
@@ -157,12 +1378,72 @@ async function downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options) {
     fs.mkdirSync(tempDir, { recursive: true });
   }
 
-  const taskId = Date.now().toString();
-  const segmentDir = path.join(tempDir, `dash_${taskId}`);
+  // 音视频轨道并行下载，未指定任务ID时加随机后缀避免目录冲突
+  const segmentDir = path.join(tempDir, `dash_${taskId || `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`}`);
+  let writer = null;
 
   try {
     fs.mkdirSync(segmentDir, { recursive: true });
 
+    const journal = openSegmentJournal(
+      segmentDir,
+      segments.length,
+      fingerprintSegments(segments, { mpdUrl, clip: clip && { start: clip.start, end: clip.end } })
+    );
+    const mergedPath = path.join(segmentDir, "merged");
+
+    // 断点续传：合并文件截断到最后一次记录的大小，从下一个片段继续写入
+    const startIndex = journal.written ? journal.written.index + 1 : 0;
+    if (journal.written) {
+      for (const [file, size] of Object.entries(journal.written.files)) {
+        fs.truncateSync(path.join(segmentDir, file), size);
+      }
+      logger.info(`断点续传: 已写入 ${startIndex}/${segments.length} 个片段`);
+    }
+
+    // 边写入边计算校验值（续传时先计算已写入的部分），输出文件未经 ffmpeg 处理时直接使用
+    const hasher = createHasher(getHashAlgorithms(options));
+    if (startIndex > 0 && fs.existsSync(mergedPath)) {
+      await updateFromFile(hasher, mergedPath);
+    }
+
+    // 下载初始化片段（Initialization），每个不同的初始化片段只下载一次
+    const initData = new Map(); // 初始化片段标识 -> 数据
+    for (const { map } of segments) {
+      if (map && !initData.has(getInitSegmentKey(map))) {
+        initData.set(getInitSegmentKey(map), await fetchSegmentData(map.uri, retries, map.byterange, bandwidthBucket));
+      }
+    }
+    if (initData.size > 0) {
+      logger.info(`已下载 ${initData.size} 个初始化片段`);
+    }
+
+    // 按顺序写入合并文件，初始化片段在首次出现或切换时插入
+    let currentInitKey = null;
+    if (startIndex > 0 && segments[startIndex - 1].map) {
+      currentInitKey = getInitSegmentKey(segments[startIndex - 1].map);
+    }
+
+    const writeSegment = async (index, data) => {
+      const { map } = segments[index];
+      if (map && getInitSegmentKey(map) !== currentInitKey) {
+        currentInitKey = getInitSegmentKey(map);
+        await fs.promises.appendFile(mergedPath, initData.get(currentInitKey));
+        hasher.update(initData.get(currentInitKey));
+      }
+
+      await fs.promises.appendFile(mergedPath, data);
+      hasher.update(data);
+      journal.markWritten(index, mergedPath);
+    };
+
+    writer = new OrderedWriter(writeSegment, {
+      spillDir: segmentDir,
+      maxBufferedBytes,
+      startIndex,
+      onSpill: (index, filePath) => journal.markCompleted(filePath),
+    });
+
     // 更新进度：开始下载片段
     if (onProgress) {
       onProgress(15, "开始下载片段...");
@@ -170,80 +1451,61 @@ async function downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options) {
 
     // 下载所有片段
     const limit = pLimit(concurrency);
-    const segmentFiles = [];
-    const segmentInfo = []; // 存储片段信息：{ index, url, filePath, success }
-    let downloadedCount = 0;
+    const failedSegments = []; // 第一轮下载失败的片段：{ index, error }
+    let downloadedCount = startIndex;
     const totalSegments = segments.length;
     const downloadProgressStart = 15;
     const downloadProgressEnd = 80;
 
-    // 第一轮下载：捕获所有错误，不中断整个流程
-    const downloadPromises = segments.map((segmentUrl, index) =>
-      limit(async () => {
-        const segmentFile = path.join(
-          segmentDir,
-          `segment_${index.toString().padStart(6, "0")}.mp4`
+    const reportProgress = (suffix = "") => {
+      if (onProgress) {
+        const segmentProgress =
+          downloadProgressStart +
+          (downloadedCount / totalSegments) *
+            (downloadProgressEnd - downloadProgressStart);
+        onProgress(
+          segmentProgress,
+          `已下载 ${downloadedCount}/${totalSegments} 个片段${suffix}`
         );
-        
-        const segmentInfoItem = {
-          index,
-          url: segmentUrl,
-          filePath: segmentFile,
-          success: false
-        };
-        segmentInfo.push(segmentInfoItem);
+      }
+    };
 
-        try {
-          await downloadSegment(segmentUrl, segmentFile, retries);
-          
-          // 验证文件是否存在且大小大于0
-          if (fs.existsSync(segmentFile)) {
-            const stats = fs.statSync(segmentFile);
-            if (stats.size > 0) {
-              segmentInfoItem.success = true;
-              segmentFiles.push(segmentFile);
-              downloadedCount++;
-            } else {
-              logger.warn(`片段文件大小为0: ${segmentFile}`);
-              // 删除空文件
-              try {
-                fs.unlinkSync(segmentFile);
-              } catch (e) {
-                // 忽略删除错误
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`下载片段失败 [${index + 1}/${totalSegments}]: ${segmentUrl} - ${error.message}`);
-          segmentInfoItem.error = error.message;
+    // 第一轮下载：捕获所有错误，不中断整个流程；失败片段之后的片段在重排缓冲区中等待
+    const downloadPromises = segments.map((segment, index) =>
+      limit(async () => {
+        if (index < startIndex) {
+          return;
         }
 
-        // 更新进度
-        if (onProgress) {
-          const segmentProgress =
-            downloadProgressStart +
-            (downloadedCount / totalSegments) *
-              (downloadProgressEnd - downloadProgressStart);
-          onProgress(
-            segmentProgress,
-            `已下载 ${downloadedCount}/${totalSegments} 个片段`
-          );
+        // 上次中断时暂存到磁盘的片段直接使用
+        const spillPath = writer.getSpillPath(index);
+        if (journal.isCompleted(spillPath)) {
+          await writer.pushSpilled(index, spillPath);
+          downloadedCount++;
+          return;
         }
 
-        if (segmentInfoItem.success) {
-          logger.debug(`下载片段 ${index + 1}/${segments.length}: ${segmentUrl}`);
+        try {
+          const data = await fetchSegmentData(segment.uri, retries, segment.byterange, bandwidthBucket);
+          await writer.push(index, data);
+          downloadedCount++;
+          logger.debug(`下载片段 ${index + 1}/${segments.length}: ${segment.uri}`);
+        } catch (error) {
+          logger.error(`下载片段失败 [${index + 1}/${totalSegments}]: ${segment.uri} - ${error.message}`);
+          failedSegments.push({ index, error });
         }
+
+        reportProgress();
       })
     );
 
     await Promise.all(downloadPromises);
-    
-    // 检查失败的片段
-    const failedSegments = segmentInfo.filter(item => !item.success);
-    
+
+    const missing = [];
+
     if (failedSegments.length > 0) {
       logger.warn(`发现 ${failedSegments.length} 个片段下载失败，开始补齐...`);
-      
+
       if (onProgress) {
         onProgress(
           downloadProgressEnd - 5,
@@ -253,81 +1515,90 @@ async function downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options) {
 
       // 补齐失败的片段（使用更高的重试次数）
       const retryLimit = pLimit(Math.min(concurrency, failedSegments.length));
-      
-      const retryPromises = failedSegments.map((item) =>
-        retryLimit(async () => {
-          try {
-            logger.info(`补齐片段 [${item.index + 1}/${totalSegments}]: ${item.url}`);
-            await downloadSegment(item.url, item.filePath, retries * 2); // 使用双倍重试次数
-            
-            // 验证文件是否存在且大小大于0
-            if (fs.existsSync(item.filePath)) {
-              const stats = fs.statSync(item.filePath);
-              if (stats.size > 0) {
-                item.success = true;
-                segmentFiles.push(item.filePath);
-                downloadedCount++;
-                logger.info(`补齐成功 [${item.index + 1}/${totalSegments}]: ${item.url}`);
-              } else {
-                logger.warn(`补齐后片段文件大小仍为0: ${item.filePath}`);
-                try {
-                  fs.unlinkSync(item.filePath);
-                } catch (e) {
-                  // 忽略删除错误
-                }
-              }
+      const stillFailed = [];
+
+      await Promise.all(
+        failedSegments.map((item) =>
+          retryLimit(async () => {
+            const { uri, byterange } = segments[item.index];
+            try {
+              logger.info(`补齐片段 [${item.index + 1}/${totalSegments}]: ${uri}`);
+              const data = await fetchSegmentData(uri, retries * 2, byterange, bandwidthBucket); // 使用双倍重试次数
+              await writer.push(item.index, data);
+              downloadedCount++;
+              logger.info(`补齐成功 [${item.index + 1}/${totalSegments}]: ${uri}`);
+            } catch (error) {
+              logger.error(`补齐片段失败 [${item.index + 1}/${totalSegments}]: ${uri} - ${error.message}`);
+              stillFailed.push({ index: item.index, error });
             }
-          } catch (error) {
-            logger.error(`补齐片段失败 [${item.index + 1}/${totalSegments}]: ${item.url} - ${error.message}`);
-            item.error = error.message;
-          }
-          
-          // 更新进度
-          if (onProgress) {
-            const segmentProgress =
-              downloadProgressStart +
-              (downloadedCount / totalSegments) *
-                (downloadProgressEnd - downloadProgressStart);
-            onProgress(
-              segmentProgress,
-              `已下载 ${downloadedCount}/${totalSegments} 个片段 (补齐中...)`
-            );
-          }
-        })
+
+            reportProgress(" (补齐中...)");
+          })
+        )
       );
 
-      await Promise.all(retryPromises);
-      
-      // 检查补齐后的结果
-      const stillFailed = segmentInfo.filter(item => !item.success);
       if (stillFailed.length > 0) {
+        stillFailed.sort((a, b) => a.index - b.index);
         logger.warn(`仍有 ${stillFailed.length} 个片段无法下载:`);
-        stillFailed.forEach(item => {
-          logger.warn(`  - 片段 [${item.index + 1}]: ${item.url} - ${item.error || '未知错误'}`);
+        stillFailed.forEach((item) => {
+          logger.warn(`  - 片段 [${item.index + 1}]: ${segments[item.index].uri} - ${item.error.message}`);
         });
+
+        if (gapPolicy !== "lenient") {
+          const message = `${stillFailed.length}/${totalSegments} 个片段下载失败: ${stillFailed[0].error.message}`;
+          // 保留内容检测的错误类型
+          const cause = stillFailed[0].error;
+          throw cause instanceof InvalidContentError ? new InvalidContentError(message, cause) : new Error(message);
+        }
+        if (stillFailed.length === totalSegments) {
+          throw new Error("所有片段均下载失败");
+        }
+
+        // 跳过的片段写入空数据占位，后面等待的片段继续写入
+        for (const { index } of stillFailed) {
+          missing.push(index);
+          journal.markMissing(index);
+          await writer.push(index, Buffer.alloc(0));
+        }
         logger.warn(`将继续合并已成功下载的 ${downloadedCount}/${totalSegments} 个片段`);
       } else {
         logger.info(`所有片段补齐成功！`);
       }
     }
 
-    // 按索引排序片段文件，确保顺序正确
-    segmentFiles.sort((a, b) => {
-      const indexA = parseInt(path.basename(a).match(/\d+/)[0]);
-      const indexB = parseInt(path.basename(b).match(/\d+/)[0]);
-      return indexA - indexB;
-    });
+    await writer.drain();
+    if (writer.nextIndex !== segments.length) {
+      throw new Error(`片段写入不完整: ${writer.nextIndex}/${segments.length}`);
+    }
+    logger.info(
+      `片段下载完成: 成功 ${downloadedCount}/${totalSegments} 个${writer.spilledCount > 0 ? `，${writer.spilledCount} 个片段曾暂存到磁盘` : ""}`
+    );
+
+    // 上次下载时已跳过并写入空数据的片段
+    for (const index of journal.missing) {
+      if (index < startIndex && !missing.includes(index)) {
+        missing.push(index);
+      }
+    }
+    if (missing.length === totalSegments) {
+      throw new Error("所有片段均下载失败");
+    }
+    const gapInfo = missing.length > 0 ? summarizeGaps(segments, missing, clip ? clip.rangeStart : 0) : null;
 
-    logger.info(`片段下载完成: 成功 ${downloadedCount}/${totalSegments} 个`);
+    const container = detectContainer(readFileHead(mergedPath));
 
-    // 更新进度：开始合并
     if (onProgress) {
-      onProgress(80, "正在合并视频片段...");
+      onProgress(90, "正在封装输出文件...");
     }
+    const output = await remuxToFormat(mergedPath, outputPath, outputFormat, container);
+    const finalOutputPath = output.outputPath;
 
-    // 合并片段
-    logger.info("开始合并视频片段...");
-    const finalOutputPath = await mergeSegments(segmentFiles, outputPath);
+    if (clip) {
+      if (onProgress) {
+        onProgress(92, "正在裁剪时间范围...");
+      }
+      clip.accurate = await trimToClip(finalOutputPath, clip, output.format);
+    }
 
     // 更新进度：合并完成
     if (onProgress) {
@@ -349,76 +1620,252 @@ async function downloadSegmentsAndMerge(segments, mpdUrl, outputPath, options) {
       url: mpdUrl,
       outputPath: finalOutputPath,
       size: stats.size,
-      method: "windows-merge",
+      mergeMethod: "binary",
+      container,
+      outputFormat: output.format,
+      remuxMethod: output.method,
+      ...(clip && { clip }),
+      ...gapInfo,
+      // 重新封装或裁剪后文件内容已改变，完成后再计算
+      ...(output.method === "none" && !clip && { checksums: hasher.digest() }),
       message: "下载完成",
     };
   } catch (error) {
-    // 清理临时文件
-    cleanupTempFiles(segmentDir);
+    if (taskId) {
+      // 保留已写入的内容和等待写入的片段，可通过 resume 接口继续下载
+      if (writer) {
+        writer.spillPending();
+      }
+      logger.warn(`下载中断，已保留已下载的片段: ${segmentDir}`);
+    } else {
+      // 清理临时文件
+      cleanupTempFiles(segmentDir);
+    }
     throw error;
   }
 }
 
 
 /**
- * 从播放列表中提取片段 URL
+ * 从播放列表中提取片段
+ * 优先使用 mpd-parser 按 BaseURL 解析好的 resolvedUri，并保留字节范围和初始化片段（segment.map）
+ *
+ * @returns {Array<object>} { uri, byterange, duration, map: { uri, byterange } | null }
  */
 function extractSegments(playlist, baseUrl) {
   const segments = [];
-  const baseUrlObj = new URL(baseUrl);
-  const basePath = baseUrl.substring(0, baseUrl.lastIndexOf("/") + 1);
-
-  // 这里需要根据实际的 MPD 结构来提取片段
-  // 简化版本，实际需要处理 SegmentTemplate、SegmentList 等
-  if (playlist.segments) {
-    for (const segment of playlist.segments) {
-      if (segment.uri) {
-        if (
-          segment.uri.startsWith("http://") ||
-          segment.uri.startsWith("https://")
-        ) {
-          segments.push(segment.uri);
-        } else if (segment.uri.startsWith("/")) {
-          segments.push(`${baseUrlObj.origin}${segment.uri}`);
-        } else {
-          segments.push(`${basePath}${segment.uri}`);
-        }
-      }
+
+  for (const segment of playlist.segments || []) {
+    if (!segment.uri && !segment.resolvedUri) {
+      continue;
+    }
+
+    segments.push({
+      uri: segment.resolvedUri || resolveUrl(segment.uri, baseUrl),
+      byterange: segment.byterange || null,
+      duration: segment.duration,
+      map: extractInitSegment(segment.map, baseUrl),
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * 提取初始化片段（Initialization）
+ * 没有 Initialization 时 mpd-parser 仍会生成指向清单本身的 map，需要忽略
+ */
+function extractInitSegment(map, baseUrl) {
+  if (!map || (!map.uri && !map.byterange)) {
+    return null;
+  }
+
+  return {
+    uri: map.resolvedUri || resolveUrl(map.uri, baseUrl),
+    byterange: map.byterange || null,
+  };
+}
+
+/**
+ * 解析相对 URL
+ */
+function resolveUrl(uri, baseUrl) {
+  return new URL(uri, baseUrl).href;
+}
+
+/**
+ * 初始化片段的唯一标识（URI 与字节范围）
+ */
+function getInitSegmentKey(map) {
+  return map.byterange ? `${map.uri}|${formatRange(map.byterange)}` : map.uri;
+}
+
+/**
+ * 播放列表没有片段但有 sidx 索引时（SegmentBase），根据索引生成片段
+ */
+async function loadSegmentIndex(playlist, retries) {
+  if ((!playlist.segments || playlist.segments.length === 0) && playlist.sidx) {
+    playlist.segments = await loadSidxSegments(playlist, retries);
+  }
+}
+
+/**
+ * SegmentBase 单文件表示：下载 indexRange 中的 sidx 索引，按索引生成字节范围片段
+ *
+ * @param {object} playlist - mpd-parser 生成的播放列表（包含 sidx）
+ * @param {number} retries - 重试次数
+ * @returns {Promise<Array<object>>} 与 playlist.segments 结构相同的片段列表
+ */
+async function loadSidxSegments(playlist, retries) {
+  const { sidx } = playlist;
+  const index = parseSidx(await fetchSegmentData(sidx.resolvedUri, retries, sidx.byterange));
+
+  // 没有 Initialization 时，文件开头到 sidx 之前的部分（ftyp + moov）即为初始化片段
+  const map = {
+    uri: "",
+    resolvedUri: (sidx.map && sidx.map.resolvedUri) || sidx.resolvedUri,
+    byterange: (sidx.map && sidx.map.byterange) || { offset: 0, length: sidx.byterange.offset },
+  };
+
+  // first_offset 从 sidx box 的末尾算起，indexRange 中 sidx 之后可能还有其他 box
+  const segments = [];
+  let offset = sidx.byterange.offset + index.boxEnd + index.firstOffset;
+
+  for (const reference of index.references) {
+    if (reference.referenceType === 1) {
+      throw new Error("不支持多级 sidx 索引");
     }
+
+    segments.push({
+      uri: "",
+      resolvedUri: sidx.resolvedUri,
+      byterange: { offset, length: reference.referencedSize },
+      duration: reference.subsegmentDuration / index.timescale,
+      map,
+    });
+    offset += reference.referencedSize;
   }
 
+  logger.info(`解析 sidx 索引: ${segments.length} 个分段 (${sidx.resolvedUri})`);
   return segments;
 }
 
 /**
- * 下载单个片段
+ * 解析 sidx（Segment Index）box
+ *
+ * @param {Buffer} buffer - 包含 sidx box 的数据
+ * @returns {object} { timescale, earliestPresentationTime, firstOffset, boxEnd, references }，
+ *   boxEnd 为 sidx box 的末尾在 buffer 中的位置
+ */
+export function parseSidx(buffer) {
+  // indexRange 可能从其他 box 开始，按 box 结构查找 sidx
+  let position = 0;
+  while (position + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(position);
+    if (buffer.toString("latin1", position + 4, position + 8) === "sidx") {
+      break;
+    }
+    if (size < 8) {
+      throw new Error("sidx 索引格式错误");
+    }
+    position += size;
+  }
+
+  if (position + 8 > buffer.length) {
+    throw new Error("indexRange 中未找到 sidx 索引");
+  }
+
+  const boxSize = buffer.readUInt32BE(position);
+  if (boxSize < 8) {
+    throw new Error("sidx 索引格式错误");
+  }
+  const boxEnd = position + boxSize;
+
+  const version = buffer.readUInt8(position + 8);
+  let cursor = position + 16; // 跳过 size、type、version、flags、reference_ID
+  const timescale = buffer.readUInt32BE(cursor);
+  cursor += 4;
+
+  let earliestPresentationTime;
+  let firstOffset;
+  if (version === 0) {
+    earliestPresentationTime = buffer.readUInt32BE(cursor);
+    firstOffset = buffer.readUInt32BE(cursor + 4);
+    cursor += 8;
+  } else {
+    earliestPresentationTime = Number(buffer.readBigUInt64BE(cursor));
+    firstOffset = Number(buffer.readBigUInt64BE(cursor + 8));
+    cursor += 16;
+  }
+
+  const referenceCount = buffer.readUInt16BE(cursor + 2);
+  cursor += 4;
+
+  const references = [];
+  for (let i = 0; i < referenceCount; i++) {
+    const typeAndSize = buffer.readUInt32BE(cursor);
+    references.push({
+      referenceType: typeAndSize >>> 31,
+      referencedSize: typeAndSize & 0x7fffffff,
+      subsegmentDuration: buffer.readUInt32BE(cursor + 4),
+    });
+    cursor += 12;
+  }
+
+  return { timescale, earliestPresentationTime, firstOffset, boxEnd, references };
+}
+
+/**
+ * 下载片段数据
+ * 指定 byterange 时使用 HTTP Range 请求只下载对应的字节范围；
+ * 下载后按特征字节检查内容（fMP4 / WebM），服务器返回网页、JSON 等错误内容时重试，最终抛出 InvalidContentError
+ *
+ * @param {TokenBucket} bandwidthBucket - 任务限速的令牌桶（可选，全局限速始终生效）
+ * @returns {Promise<Buffer>} 片段数据
  */
-async function downloadSegment(url, filePath, retries) {
+async function fetchSegmentData(url, retries, byterange = null, bandwidthBucket = null) {
+  const extraHeaders = byterange ? { Range: formatRange(byterange) } : {};
+
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       const response = await axios.get(url, {
-        responseType: "arraybuffer",
+        responseType: "stream",
         timeout: 60000,
-        headers: getBrowserHeaders(url),
+        headers: getBrowserHeaders(url, extraHeaders),
         maxRedirects: 5,
+        beforeRedirect: refreshCookieHeader,
         validateStatus: (status) => status < 500
       });
 
       if (response.status >= 400) {
+        response.data.destroy();
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      if (!response.data || response.data.length === 0) {
+      // 按任务和全局限速读取
+      let data = await readStream(response.data, bandwidthBucket);
+      if (data.length === 0) {
         throw new Error('下载的片段数据为空');
       }
 
-      fs.writeFileSync(filePath, response.data);
-      return;
+      if (byterange) {
+        // 服务器忽略 Range 返回完整文件时，从中截取对应的字节范围
+        if (response.status !== 206) {
+          data = data.subarray(byterange.offset, byterange.offset + byterange.length);
+        }
+        if (data.length < byterange.length) {
+          throw new Error(`字节范围数据不完整: 期望 ${byterange.length} 字节，实际 ${data.length} 字节`);
+        }
+      }
+
+      assertContent(data, { label: "片段" });
+      return data;
     } catch (error) {
       const errorMsg = error.message || error.toString();
       
       if (attempt === retries) {
-        throw new Error(`下载片段失败 (${retries} 次重试): ${url} - ${errorMsg}`);
+        const message = `下载片段失败 (${retries} 次重试): ${url} - ${errorMsg}`;
+        throw error instanceof InvalidContentError ? new InvalidContentError(message, error) : new Error(message);
       }
       
       logger.warn(`下载片段失败，重试 ${attempt}/${retries}: ${url} - ${errorMsg}`);
@@ -428,10 +1875,19 @@ async function downloadSegment(url, filePath, retries) {
 }
 
 /**
- * 合并片段
+ * 将字节范围格式化为 Range 请求头
+ */
+function formatRange(byterange) {
+  return `bytes=${byterange.offset}-${byterange.offset + byterange.length - 1}`;
+}
+
+/**
+ * 合并片段（按顺序拼接，不改变容器格式）
  * 使用 Node.js fs 模块合并，避免 Windows copy 命令参数长度限制
+ *
+ * @param {object} hasher - createHasher 创建的校验器，拼接时同时计算校验值（可选）
  */
-async function mergeSegments(segmentFiles, outputPath) {
+async function mergeSegments(segmentFiles, outputPath, hasher = null) {
   try {
     logger.debug(`开始合并 ${segmentFiles.length} 个片段到: ${outputPath}`);
     
@@ -459,6 +1915,10 @@ async function mergeSegments(segmentFiles, outputPath) {
         readStream.on('end', () => {
           resolve();
         });
+
+        if (hasher) {
+          readStream.on('data', (chunk) => hasher.update(chunk));
+        }
         
         readStream.pipe(writeStream, { end: false });
       });
@@ -481,41 +1941,12 @@ async function mergeSegments(segmentFiles, outputPath) {
       throw new Error("合并后的文件不存在");
     }
     
-    // 确保文件扩展名为 .mp4，以便播放器可以正常打开
-    const ext = path.extname(outputPath).toLowerCase();
-    let finalOutputPath = outputPath;
-    
-    if (ext !== '.mp4') {
-      finalOutputPath = outputPath.replace(/\.[^.]+$/, '') + '.mp4';
-      if (finalOutputPath !== outputPath) {
-        fs.renameSync(outputPath, finalOutputPath);
-        logger.debug(`文件已重命名为: ${finalOutputPath}`);
-      }
-    }
-    
-    const stats = fs.statSync(finalOutputPath);
-    logger.info(`合并完成: ${finalOutputPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+    const stats = fs.statSync(outputPath);
+    logger.info(`合并完成: ${outputPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
     
-    // 返回最终的文件路径
-    return finalOutputPath;
+    return outputPath;
   } catch (error) {
     throw new Error(`合并失败: ${error.message}`);
   }
 }
 
-/**
- * 清理临时文件
- */
-function cleanupTempFiles(dir) {
-  try {
-    if (fs.existsSync(dir)) {
-      const files = fs.readdirSync(dir);
-      for (const file of files) {
-        fs.unlinkSync(path.join(dir, file));
-      }
-      fs.rmdirSync(dir);
-    }
-  } catch (error) {
-    // 忽略清理错误
-  }
-}
@@ -1,9 +1,19 @@
 import puppeteer from 'puppeteer';
+import pLimit from 'p-limit';
 import { logger } from '../utils/logger.js';
-import { isVideoUrl, getVideoSize, formatFileSize } from '../utils/videoUtils.js';
+import { isVideoUrl, isHLS, isDASH, getVideoSize, formatFileSize } from '../utils/videoUtils.js';
+import { probeHLS } from './hls-handler.js';
+import { probeDASH } from './dash-handler.js';
 import { getInstagramVideo } from '../platforms/instagram.js';
 import { getTikTokVideo } from '../platforms/tiktok.js';
 import { getPuppeteerLaunchOptions } from '../utils/puppeteerConfig.js';
+import { runActions } from '../utils/pageActions.js';
+import { applyCookies } from '../utils/cookieStore.js';
+
+/**
+ * 同时探测的视频流数量
+ */
+const PROBE_CONCURRENCY = 3;
 
 /**
  * 检测页面中的视频 URL
@@ -13,7 +23,11 @@ import { getPuppeteerLaunchOptions } from '../utils/puppeteerConfig.js';
  * @param {object} options - 选项
  * @param {string} options.buttonSelector - 需要点击的按钮选择器（可选）
  * @param {number} options.clickWaitTime - 点击按钮后等待时间（毫秒，默认3000）
- * @returns {Promise<Array>} 视频 URL 列表
+ * @param {Array<object>} options.actions - 页面加载后按顺序执行的交互步骤（可选，指定时忽略 buttonSelector），
+ *   步骤格式见 utils/pageActions.js；Instagram、TikTok 不支持，调用方需先用 getPlatform 检查
+ * @param {function} options.onAction - 每个步骤结束后的回调 (result)
+ * @param {boolean} options.probe - 是否探测视频流的类型、码率、时长、加密和估算大小（默认 true）
+ * @returns {Promise<Array>} 视频 URL 列表，探测结果在每项的 stream 字段中
  */
 export async function detectVideoUrl(url, options = {}) {
   const {
@@ -21,26 +35,102 @@ export async function detectVideoUrl(url, options = {}) {
     waitUntil = 'networkidle2',
     headless = true,
     buttonSelector = null,
-    clickWaitTime = 3000
+    clickWaitTime = 3000,
+    actions = null,
+    onAction = null,
+    probe = true
   } = options;
 
+  let videos;
+
   // 检查是否是特定平台
-  if (url.includes('instagram.com')) {
-    return await getInstagramVideo(url, options);
+  const platform = getPlatform(url);
+  if (platform === 'instagram') {
+    videos = await getInstagramVideo(url, options);
+  } else if (platform === 'tiktok') {
+    videos = await getTikTokVideo(url, options);
+  } else {
+    // 通用检测
+    videos = await detectVideoUrlGeneric(url, { 
+      timeout, 
+      waitUntil, 
+      headless,
+      buttonSelector,
+      clickWaitTime,
+      actions,
+      onAction
+    });
   }
 
+  return probe ? await probeVideos(videos) : videos;
+}
+
+/**
+ * 获取 URL 对应的专用平台，通用页面返回 null
+ * 专用平台使用各自的检测逻辑，不支持 buttonSelector 和 actions
+ *
+ * @param {string} url - 页面 URL
+ * @returns {string|null} 'instagram' | 'tiktok' | null
+ */
+export function getPlatform(url) {
+  if (url.includes('instagram.com')) {
+    return 'instagram';
+  }
   if (url.includes('tiktok.com')) {
-    return await getTikTokVideo(url, options);
+    return 'tiktok';
   }
+  return null;
+}
 
-  // 通用检测
-  return await detectVideoUrlGeneric(url, { 
-    timeout, 
-    waitUntil, 
-    headless,
-    buttonSelector,
-    clickWaitTime
-  });
+/**
+ * 探测检测到的视频，结果放在每项的 stream 字段中
+ * HLS / DASH 会下载并解析播放列表，其他视为直接下载的文件
+ *
+ * @param {Array} videos - 检测到的视频列表
+ * @returns {Promise<Array>} 增加了 stream 字段的视频列表
+ */
+async function probeVideos(videos) {
+  const limit = pLimit(PROBE_CONCURRENCY);
+  return await Promise.all(
+    videos.map((video) => limit(async () => ({ ...video, stream: await probeVideo(video) })))
+  );
+}
+
+/**
+ * 探测单个视频
+ * @returns {Promise<object>} { kind, live, duration, segments, variants, encrypted, encryption, drm, estimatedSize, formattedEstimatedSize }，
+ *   kind 为 master、media、mpd 或 direct；探测失败时为 { kind: null, error }
+ */
+async function probeVideo(video) {
+  const { url, contentType = '' } = video;
+
+  // 直接下载的文件：无法得知时长和加密信息，大小即为文件大小
+  if (!isHLS(url, contentType) && !isDASH(url, contentType)) {
+    return {
+      kind: 'direct',
+      live: false,
+      duration: null,
+      segments: null,
+      variants: [],
+      encrypted: null,
+      encryption: null,
+      drm: null,
+      estimatedSize: video.size || null,
+      formattedEstimatedSize: video.formattedSize || null
+    };
+  }
+
+  try {
+    const stream = isHLS(url, contentType) ? await probeHLS(url) : await probeDASH(url);
+    logger.info(`探测视频流: ${url} (${stream.kind}${stream.duration ? `，${stream.duration}s` : ''}${stream.encrypted ? '，已加密' : ''})`);
+    return {
+      ...stream,
+      formattedEstimatedSize: stream.estimatedSize ? formatFileSize(stream.estimatedSize) : null
+    };
+  } catch (error) {
+    logger.warn(`探测视频流失败: ${url} - ${error.message}`);
+    return { kind: null, error: error.message };
+  }
 }
 
 /**
@@ -51,7 +141,8 @@ async function detectVideoUrlGeneric(url, options) {
   let browser = null;
   const {
     buttonSelector = null,
-    clickWaitTime = 3000
+    clickWaitTime = 3000,
+    actions = null
   } = options;
 
   try {
@@ -95,7 +186,7 @@ async function detectVideoUrlGeneric(url, options) {
 
     // 监听所有网络响应，检测视频 URL
     const videoUrlMap = new Map(); // 存储视频 URL 和其元数据
-    let videoCountBeforeClick = 0; // 点击按钮前的视频数量
+    let videoCountBeforeClick = 0; // 执行交互步骤前的视频数量
 
     page.on('response', async (response) => {
       try {
@@ -133,6 +224,9 @@ async function detectVideoUrlGeneric(url, options) {
       }
     });
 
+    // 注入已导入的 Cookie（登录状态）
+    await applyCookies(page, url);
+
     // 导航到页面
     await page.goto(url, {
       waitUntil: options.waitUntil,
@@ -142,75 +236,34 @@ async function detectVideoUrlGeneric(url, options) {
     // 等待一段时间，确保所有资源加载完成
     await page.waitForTimeout(2000);
 
-    // 记录点击前的视频数量
+    // 记录执行交互步骤前的视频数量
     videoCountBeforeClick = videoUrlMap.size;
     logger.info(`初始检测完成，找到 ${videoCountBeforeClick} 个视频 URL`);
 
-    // 如果需要点击按钮来触发新视频下载
-    if (buttonSelector) {
-      try {
-        logger.info(`尝试点击按钮: ${buttonSelector}`);
-        
-        // 等待按钮元素出现，使用配置的 timeout 或默认值
-        const buttonWaitTimeout = Math.min(options.timeout || 30000, 60000); // 最多等待60秒
-        await page.waitForSelector(buttonSelector, { 
-          timeout: buttonWaitTimeout,
-          visible: true 
-        }).catch(() => {
-          logger.warn(`未找到按钮元素: ${buttonSelector}，超时时间: ${buttonWaitTimeout}ms`);
-        });
-
-        // 检查按钮是否存在且可见
-        const buttonExists = await page.$(buttonSelector);
-        if (buttonExists) {
-          // 检查按钮是否在视口中
-          const isVisible = await page.evaluate((selector) => {
-            const element = document.querySelector(selector);
-            if (!element) return false;
-            const rect = element.getBoundingClientRect();
-            return rect.top >= 0 && rect.left >= 0 && 
-                   rect.bottom <= window.innerHeight && 
-                   rect.right <= window.innerWidth;
-          }, buttonSelector);
-
-          if (!isVisible) {
-            // 如果按钮不在视口中，滚动到按钮位置
-            await page.evaluate((selector) => {
-              const element = document.querySelector(selector);
-              if (element) {
-                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              }
-            }, buttonSelector);
-            await page.waitForTimeout(500);
-          }
+    // 按顺序执行交互步骤（buttonSelector 视为点击后等待 clickWaitTime 的两个步骤）
+    const steps = actions || (buttonSelector ? [
+      { type: 'click', selector: buttonSelector, timeout: Math.min(options.timeout || 30000, 60000) }, // 最多等待60秒
+      { type: 'wait', ms: clickWaitTime }
+    ] : []);
 
-          // 点击按钮
-          await buttonExists.click();
-          logger.info('按钮点击成功');
-
-          // 等待新视频加载
-          logger.info(`等待 ${clickWaitTime}ms 以加载新视频...`);
-          await page.waitForTimeout(clickWaitTime);
-
-          // 等待网络响应（等待新视频请求）
-          try {
-            await Promise.race([
-              new Promise(resolve => setTimeout(resolve, 2000)),
-              page.waitForResponse(() => true, { timeout: 5000 }).catch(() => {})
-            ]);
-          } catch (e) {
-            // 忽略超时错误
-          }
+    if (steps.length > 0) {
+      await runActions(page, steps, {
+        getVideoCount: () => videoUrlMap.size,
+        onStep: options.onAction
+      });
 
-          const videoCountAfterClick = videoUrlMap.size;
-          const newVideosCount = videoCountAfterClick - videoCountBeforeClick;
-          logger.info(`点击后检测完成，新增 ${newVideosCount} 个视频 URL，总计 ${videoCountAfterClick} 个`);
-        } else {
-          logger.warn(`按钮元素不存在: ${buttonSelector}`);
-        }
-      } catch (error) {
-        logger.warn(`点击按钮时出错: ${error.message}，继续检测已有视频`);
+      // 等待最后一个步骤触发的网络响应（等待新视频请求）
+      try {
+        await Promise.race([
+          new Promise(resolve => setTimeout(resolve, 2000)),
+          page.waitForResponse(() => true, { timeout: 5000 }).catch(() => {})
+        ]);
+      } catch (e) {
+        // 忽略超时错误
       }
+
+      const newVideosCount = videoUrlMap.size - videoCountBeforeClick;
+      logger.info(`交互步骤执行完成，新增 ${newVideosCount} 个视频 URL，总计 ${videoUrlMap.size} 个`);
     }
 
     logger.info(`检测完成，找到 ${videoUrlMap.size} 个视频 URL`);
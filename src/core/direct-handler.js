@@ -1,6 +1,11 @@
 import axios from 'axios';
 import fs from 'fs';
 import { logger } from '../utils/logger.js';
+import { assertContent, InvalidContentError, SNIFF_LENGTH } from '../utils/contentSniffer.js';
+import { attachChecksums, ChecksumMismatchError, createHasher, getHashAlgorithms, updateFromFile } from '../utils/checksum.js';
+import { createThrottleStream, throttle } from '../utils/bandwidthLimiter.js';
+import { getCookieHeaders, refreshCookieHeader } from '../utils/cookieStore.js';
+import { readFileHead } from '../utils/streamUtils.js';
 
 /**
  * 获取浏览器请求头，避免被服务器拒绝
@@ -24,6 +29,7 @@ function getBrowserHeaders(url, extraHeaders = {}) {
       'Sec-Fetch-Dest': 'empty',
       'Sec-Fetch-Mode': 'cors',
       'Sec-Fetch-Site': 'same-origin',
+      ...getCookieHeaders(url),
       ...extraHeaders
     };
   } catch (error) {
@@ -36,8 +42,22 @@ function getBrowserHeaders(url, extraHeaders = {}) {
   }
 }
 
+/**
+ * 每个分段的最小字节数，文件较小时减少连接数
+ */
+const MIN_RANGE_SIZE = 1024 * 1024;
+
+/**
+ * 分段下载进度写入记录文件的最小间隔（毫秒）
+ */
+const STATE_SAVE_INTERVAL = 1000;
+
 /**
  * 直接下载视频文件（非流媒体）
+ * 服务器支持 Range 请求时，将文件分成多段并行下载（连接数由 concurrency 指定），
+ * 否则使用单个连接下载。
+ * 下载中的数据保存在 <输出文件>.part 中，校验信息（ETag / Last-Modified）和进度保存在 <输出文件>.part.json 中，
+ * 重试或重新开始任务时从已下载的位置继续；文件已变化时重新下载
  * 
  * @param {string} url - 视频 URL
  * @param {string} outputPath - 输出文件路径
@@ -45,8 +65,442 @@ function getBrowserHeaders(url, extraHeaders = {}) {
  * @returns {Promise<object>} 下载结果
  */
 export async function downloadDirect(url, outputPath, options = {}) {
+  const { concurrency = 5 } = options;
+  const probe = await probeResource(url, options);
+  const state = loadPartState(outputPath, probe);
+
+  if (probe && probe.acceptRanges && concurrency > 1) {
+    const connections = Math.min(concurrency, Math.ceil(probe.size / MIN_RANGE_SIZE));
+
+    if (connections > 1 || (state && state.ranges)) {
+      try {
+        return await downloadRanges(url, outputPath, probe, connections, state, options);
+      } catch (error) {
+        if (!error.rangeUnsupported) {
+          throw error;
+        }
+        logger.warn(`${error.message}，改为单连接下载`);
+        removePartFiles(outputPath);
+      }
+    }
+  }
+
+  return await downloadSingleStream(url, outputPath, options);
+}
+
+/**
+ * 使用 HEAD 请求获取文件大小、校验信息以及是否支持 Range 请求
+ *
+ * @param {string} url - 视频 URL
+ * @param {object} options - 选项
+ * @returns {Promise<object|null>} { size, acceptRanges, etag, lastModified }，请求失败时返回 null
+ */
+async function probeResource(url, options) {
+  try {
+    const response = await axios({
+      method: 'HEAD',
+      url: url,
+      timeout: options.timeout || 30000,
+      headers: getBrowserHeaders(url, { 'Accept-Encoding': 'identity' }),
+      maxRedirects: 5,
+      beforeRedirect: refreshCookieHeader,
+      validateStatus: (status) => status < 500
+    });
+
+    if (response.status >= 400) {
+      logger.debug(`HEAD 请求失败 (HTTP ${response.status}): ${url}`);
+      return null;
+    }
+
+    const size = parseInt(response.headers['content-length'] || '0', 10);
+    const acceptRanges = (response.headers['accept-ranges'] || '').toLowerCase().includes('bytes') && size > 0;
+    if (!acceptRanges) {
+      logger.debug(`服务器不支持 Range 请求或未返回文件大小: ${url}`);
+    }
+
+    return { size, acceptRanges, ...getValidators(response.headers) };
+  } catch (error) {
+    logger.debug(`HEAD 请求失败: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 从响应头中获取校验信息
+ */
+function getValidators(headers) {
+  return {
+    etag: headers['etag'] || null,
+    lastModified: headers['last-modified'] || null
+  };
+}
+
+/**
+ * 获取 If-Range 请求头的值（弱 ETag 不能用于 If-Range）
+ */
+function getIfRange(state) {
+  if (state.etag && !state.etag.startsWith('W/')) {
+    return state.etag;
+  }
+  return state.lastModified || null;
+}
+
+/**
+ * 读取未完成下载的记录，文件已变化或记录无效时删除已下载的部分
+ *
+ * @param {string} outputPath - 输出文件路径
+ * @param {object|null} probe - probeResource 的结果
+ * @returns {object|null} 下载记录 { url, size, etag, lastModified, ranges }
+ */
+function loadPartState(outputPath, probe) {
+  const partPath = `${outputPath}.part`;
+  if (!fs.existsSync(partPath)) {
+    removePartFiles(outputPath);
+    return null;
+  }
+
+  const state = readPartState(outputPath);
+  if (!state || !isSameResource(state, probe)) {
+    logger.info(`文件已变化或无法校验，重新下载: ${outputPath}`);
+    removePartFiles(outputPath);
+    return null;
+  }
+
+  logger.info(`发现未完成的下载，继续下载: ${partPath}`);
+  return state;
+}
+
+/**
+ * 已下载的部分与服务器上的文件是否一致
+ * 优先比较 ETag，其次比较 Last-Modified；没有校验信息时视为不一致。
+ * HEAD 请求失败时由续传请求的 If-Range 校验
+ */
+function isSameResource(state, probe) {
+  if (!state.etag && !state.lastModified) {
+    return false;
+  }
+
+  if (!probe) {
+    return !state.ranges;
+  }
+
+  if (state.size && probe.size && state.size !== probe.size) {
+    return false;
+  }
+
+  if (state.etag || probe.etag) {
+    return state.etag === probe.etag;
+  }
+
+  return state.lastModified === probe.lastModified;
+}
+
+/**
+ * 保存下载记录
+ */
+function savePartState(outputPath, state) {
+  fs.writeFileSync(`${outputPath}.part.json`, JSON.stringify(state));
+}
+
+/**
+ * 删除未完成的下载文件和记录
+ */
+function removePartFiles(outputPath) {
+  for (const filePath of [`${outputPath}.part`, `${outputPath}.part.json`]) {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      logger.warn(`删除文件失败: ${filePath} - ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 下载完成后将 .part 文件移动到输出路径，并删除下载记录
+ */
+function finishPartFile(outputPath) {
+  const partPath = `${outputPath}.part`;
+  if (fs.existsSync(outputPath)) {
+    fs.unlinkSync(outputPath);
+  }
+  fs.renameSync(partPath, outputPath);
+  removePartFiles(outputPath);
+}
+
+/**
+ * 分段并行下载，各分段直接写入 .part 文件的对应位置
+ * 分段失败时从已下载的位置继续重试，进度定期写入下载记录；
+ * 服务器忽略 Range 请求时抛出带 rangeUnsupported 标记的错误
+ *
+ * @param {string} url - 视频 URL
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} probe - probeResource 的结果
+ * @param {number} connections - 并行连接数
+ * @param {object|null} previous - 未完成下载的记录（续传时使用）
+ * @param {object} options - 选项
+ * @returns {Promise<object>} 下载结果
+ */
+async function downloadRanges(url, outputPath, probe, connections, previous, options) {
+  const { retries = 3, onProgress = null } = options;
+  const totalBytes = probe.size;
+  const partPath = `${outputPath}.part`;
+  const ranges = planRanges(totalBytes, connections, previous, partPath);
+  const resumedBytes = ranges.reduce((sum, range) => sum + range.downloaded, 0);
+  const state = { url, size: totalBytes, etag: probe.etag, lastModified: probe.lastModified, ranges };
+
+  if (resumedBytes > 0) {
+    logger.info(`从 ${formatBytes(resumedBytes)} 处继续分段下载视频: ${url}`);
+  } else {
+    logger.info(`分 ${ranges.length} 段并行下载视频 (${formatBytes(totalBytes)}): ${url}`);
+  }
+
+  // 续传时在原文件上继续写入，否则预先分配文件大小，各分段按偏移量写入
+  const fd = fs.openSync(partPath, resumedBytes > 0 ? 'r+' : 'w');
+  const controller = new AbortController();
+  const activeRanges = ranges.filter((range) => range.start + range.downloaded <= range.end);
+  let downloadedBytes = resumedBytes;
+  let lastSaved = 0;
+
+  const onData = (length) => {
+    downloadedBytes += length;
+
+    const now = Date.now();
+    if (now - lastSaved >= STATE_SAVE_INTERVAL) {
+      lastSaved = now;
+      savePartState(outputPath, state);
+    }
+
+    if (onProgress) {
+      const percent = (downloadedBytes / totalBytes * 100).toFixed(2);
+      onProgress(percent, `下载中: ${percent}% (${activeRanges.length} 个连接)`);
+    }
+  };
+
+  try {
+    if (resumedBytes === 0) {
+      fs.ftruncateSync(fd, totalBytes);
+    }
+    savePartState(outputPath, state);
+
+    let firstError = null;
+    await Promise.allSettled(activeRanges.map((range) =>
+      downloadRange(url, fd, range, { ...options, retries, signal: controller.signal, ifRange: getIfRange(state) }, onData)
+        .catch((error) => {
+          // 一个分段失败后取消其他分段，其他分段因取消产生的错误不再记录
+          if (!firstError) {
+            firstError = error;
+            controller.abort();
+          }
+        })
+    ));
+
+    if (firstError) {
+      throw firstError;
+    }
+  } catch (error) {
+    fs.closeSync(fd);
+
+    if (error.rangeUnsupported) {
+      throw error;
+    }
+
+    // 内容不是视频（错误页面等）时删除已下载的部分
+    if (error instanceof InvalidContentError) {
+      removePartFiles(outputPath);
+      logger.error('分段下载失败:', error.message);
+      throw new InvalidContentError(`下载失败: ${error.message}`, error);
+    }
+
+    // 保留已下载的部分，重试或重新开始任务时继续下载
+    savePartState(outputPath, state);
+    logger.error('分段下载失败:', error.message);
+    throw new Error(`下载失败: ${error.message}`);
+  }
+
+  fs.closeSync(fd);
+
+  finishPartFile(outputPath);
+  logger.info(`下载完成: ${outputPath} (${totalBytes} 字节, ${activeRanges.length} 个连接)`);
+
+  // 分段乱序写入，完成后读取文件计算校验值
+  return await attachChecksums({
+    success: true,
+    url,
+    outputPath,
+    size: fs.statSync(outputPath).size,
+    method: 'direct',
+    connections: activeRanges.length,
+    resumedBytes,
+    message: '下载完成'
+  }, options);
+}
+
+/**
+ * 划分下载分段
+ * 有分段下载记录时沿用原来的分段；单连接下载留下的部分作为已完成的第一段，其余部分再分段
+ *
+ * @returns {Array<object>} 分段列表 [{ start, end, downloaded }]
+ */
+function planRanges(totalBytes, connections, previous, partPath) {
+  if (previous && previous.ranges) {
+    return previous.ranges;
+  }
+
+  const ranges = [];
+  let offset = 0;
+
+  if (previous && fs.existsSync(partPath)) {
+    offset = Math.min(fs.statSync(partPath).size, totalBytes);
+    if (offset > 0) {
+      ranges.push({ start: 0, end: offset - 1, downloaded: offset });
+      fs.truncateSync(partPath, totalBytes);
+    }
+  }
+
+  const remaining = totalBytes - offset;
+  const count = Math.max(1, Math.min(connections, Math.ceil(remaining / MIN_RANGE_SIZE)));
+  const rangeSize = Math.ceil(remaining / count);
+
+  for (let start = offset; start < totalBytes; start += rangeSize) {
+    ranges.push({ start, end: Math.min(start + rangeSize, totalBytes) - 1, downloaded: 0 });
+  }
+
+  return ranges;
+}
+
+/**
+ * 下载一个分段，失败时从已写入的位置继续重试
+ *
+ * @param {string} url - 视频 URL
+ * @param {number} fd - .part 文件描述符
+ * @param {object} range - 分段 { start, end, downloaded }
+ * @param {object} options - 选项（retries、timeout、signal、ifRange）
+ * @param {function} onData - 写入数据后的回调 (字节数)
+ */
+async function downloadRange(url, fd, range, options, onData) {
+  const { retries, signal } = options;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const start = range.start + range.downloaded;
+
+    try {
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+
+      // 文件开头的分段收到足够的数据后立即检查内容
+      const contentCheck = range.start === 0 && start < SNIFF_LENGTH ? createContentCheck(readHead(fd, start)) : null;
+
+      await fetchRange(url, fd, start, range.end, { ...options, contentCheck }, (length) => {
+        range.downloaded += length;
+        onData(length);
+      });
+
+      if (range.start + range.downloaded <= range.end) {
+        throw new Error(`分段数据不完整: ${range.start + range.downloaded}/${range.end + 1}`);
+      }
+      if (contentCheck) {
+        contentCheck.finish();
+      }
+      return;
+    } catch (error) {
+      if (error.rangeUnsupported || error instanceof InvalidContentError || signal.aborted || attempt === retries) {
+        throw error;
+      }
+      logger.warn(`分段 ${range.start}-${range.end} 下载失败，重试 ${attempt}/${retries}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 使用 Range 请求下载 start-end 字节，并写入文件的对应位置
+ * 指定 ifRange 时文件已变化的服务器会返回完整文件，同样视为不支持 Range 请求
+ */
+async function fetchRange(url, fd, start, end, options, onData) {
+  const { signal, ifRange = null, bandwidthBucket = null, contentCheck = null } = options;
+  const extraHeaders = { Range: `bytes=${start}-${end}`, 'Accept-Encoding': 'identity' };
+  if (ifRange) {
+    extraHeaders['If-Range'] = ifRange;
+  }
+
+  const response = await axios({
+    method: 'GET',
+    url: url,
+    responseType: 'stream',
+    timeout: options.timeout || 120000,
+    headers: getBrowserHeaders(url, extraHeaders),
+    maxRedirects: 5,
+    beforeRedirect: refreshCookieHeader,
+    signal,
+    validateStatus: () => true
+  });
+
+  if (response.status !== 206) {
+    response.data.destroy();
+    if (response.status < 300) {
+      const error = new Error('服务器未按 Range 请求返回部分内容');
+      error.rangeUnsupported = true;
+      throw error;
+    }
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  await new Promise((resolve, reject) => {
+    let position = start;
+
+    const onAbort = () => response.data.destroy(new Error('下载已取消'));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    response.data.on('data', (chunk) => {
+      const length = Math.min(chunk.length, end + 1 - position);
+      if (contentCheck && length > 0) {
+        try {
+          contentCheck.update(chunk.subarray(0, length));
+        } catch (error) {
+          response.data.destroy(error);
+          return;
+        }
+      }
+      if (length > 0) {
+        fs.writeSync(fd, chunk, 0, length, position);
+        position += length;
+        onData(length);
+      }
+
+      // 等待限速令牌期间暂停读取
+      response.data.pause();
+      throttle(bandwidthBucket, chunk.length).then(() => response.data.resume());
+    });
+
+    response.data.on('end', resolve);
+    response.data.on('error', (err) => {
+      reject(err instanceof InvalidContentError ? err : new Error(`下载流错误: ${err.message || err.toString()}`));
+    });
+    response.data.on('close', () => {
+      signal.removeEventListener('abort', onAbort);
+      // 连接提前关闭时由调用方检查数据是否完整
+      resolve();
+    });
+  });
+}
+
+/**
+ * 使用单个连接下载整个文件
+ * .part 文件中已有数据且记录了 ETag 或 Last-Modified 时使用 Range + If-Range 请求继续下载，
+ * 没有校验信息或服务器返回完整文件（文件已变化或不支持 Range 请求）时从头下载
+ *
+ * @param {string} url - 视频 URL
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @returns {Promise<object>} 下载结果
+ */
+async function downloadSingleStream(url, outputPath, options) {
   const retries = options.retries || 3;
+  const partPath = `${outputPath}.part`;
   let lastError = null;
+  let resumedBytes = 0;
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     let writeStream = null;
@@ -60,27 +514,81 @@ export async function downloadDirect(url, outputPath, options = {}) {
         logger.info(`直接下载视频: ${url}`);
       }
 
+      // 只有记录了 ETag 或 Last-Modified 时才能用 If-Range 校验续传，否则截断 .part 从头下载
+      const previous = readPartState(outputPath);
+      const ifRange = previous ? getIfRange(previous) : null;
+      const partSize = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+      const offset = ifRange ? partSize : 0;
+      if (partSize > 0 && !ifRange) {
+        logger.info(`未完成的下载无法校验，重新下载: ${partPath}`);
+      }
+
+      const extraHeaders = { 'Accept-Encoding': 'identity' };
+      if (offset > 0) {
+        extraHeaders.Range = `bytes=${offset}-`;
+        extraHeaders['If-Range'] = ifRange;
+      }
+
       response = await axios({
         method: 'GET',
         url: url,
         responseType: 'stream',
         timeout: options.timeout || 120000,
-        headers: getBrowserHeaders(url),
+        headers: getBrowserHeaders(url, extraHeaders),
         maxRedirects: 5,
+        beforeRedirect: refreshCookieHeader,
         validateStatus: (status) => status < 500
       });
 
+      if (response.status === 416 && offset > 0) {
+        // 续传位置超出文件大小，已下载的部分不可用
+        removePartFiles(outputPath);
+        throw new Error('续传位置无效，重新下载');
+      }
+
       if (response.status >= 400) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      writeStream = fs.createWriteStream(outputPath);
-      let downloadedBytes = 0;
-      const totalBytes = parseInt(response.headers['content-length'] || '0', 10);
+      const resuming = offset > 0 && response.status === 206;
+      if (offset > 0 && !resuming) {
+        logger.warn(`文件已变化或服务器不支持续传，重新下载: ${url}`);
+      } else if (resuming) {
+        logger.info(`从 ${formatBytes(offset)} 处继续下载: ${url}`);
+      }
+
+      let downloadedBytes = resuming ? offset : 0;
+      const contentLength = parseInt(response.headers['content-length'] || '0', 10);
+      const totalBytes = contentLength > 0 ? downloadedBytes + contentLength : 0;
+      resumedBytes = downloadedBytes;
+
+      // 边下载边计算校验值，续传时先加入已下载的部分
+      const hasher = createHasher(getHashAlgorithms(options));
+      if (resuming) {
+        await updateFromFile(hasher, partPath, offset);
+      }
+
+      savePartState(outputPath, {
+        url,
+        size: totalBytes || null,
+        ...(resuming ? { etag: previous.etag, lastModified: previous.lastModified } : getValidators(response.headers))
+      });
+      writeStream = fs.createWriteStream(partPath, { flags: resuming ? 'a' : 'w' });
+
+      // 收到足够的数据后立即检查内容，不是视频时中止请求
+      const contentCheck = createContentCheck(resuming ? readFileHead(partPath, Math.min(offset, SNIFF_LENGTH)) : Buffer.alloc(0));
 
       // 处理进度更新
       response.data.on('data', (chunk) => {
+        try {
+          contentCheck.update(chunk);
+        } catch (error) {
+          response.data.destroy(error);
+          return;
+        }
+
         downloadedBytes += chunk.length;
+        hasher.update(chunk);
         if (totalBytes > 0 && options.onProgress) {
           const percent = (downloadedBytes / totalBytes * 100).toFixed(2);
           options.onProgress(percent, `下载中: ${percent}%`);
@@ -89,8 +597,9 @@ export async function downloadDirect(url, outputPath, options = {}) {
         }
       });
 
-      // 管道数据流
-      response.data.pipe(writeStream);
+      // 管道数据流（经过限速）
+      const body = response.data.pipe(createThrottleStream(options.bandwidthBucket));
+      body.pipe(writeStream);
 
       await new Promise((resolve, reject) => {
         let isResolved = false;
@@ -106,6 +615,7 @@ export async function downloadDirect(url, outputPath, options = {}) {
           if (response && response.data) {
             try {
               response.data.destroy();
+              body.destroy();
             } catch (e) {
               // 忽略清理错误
             }
@@ -135,6 +645,10 @@ export async function downloadDirect(url, outputPath, options = {}) {
         });
 
         response.data.on('error', (err) => {
+          if (err instanceof InvalidContentError) {
+            rejectOnce(err);
+            return;
+          }
           const errorMsg = err.message || err.toString();
           if (errorMsg.includes('aborted') || errorMsg.includes('ECONNRESET')) {
             rejectOnce(new Error(`连接被重置，请重试: ${errorMsg}`));
@@ -143,7 +657,7 @@ export async function downloadDirect(url, outputPath, options = {}) {
           }
         });
 
-        response.data.on('end', () => {
+        body.on('end', () => {
           // 确保流完全结束
           setTimeout(() => {
             if (!isResolved) {
@@ -153,22 +667,33 @@ export async function downloadDirect(url, outputPath, options = {}) {
         });
       });
 
-      const stats = fs.statSync(outputPath);
+      const stats = fs.statSync(partPath);
       
       if (stats.size === 0) {
+        removePartFiles(outputPath);
         throw new Error('下载的文件大小为0');
       }
 
+      contentCheck.finish();
+
+      if (totalBytes > 0 && stats.size < totalBytes) {
+        throw new Error(`文件不完整: ${stats.size}/${totalBytes} 字节`);
+      }
+
+      finishPartFile(outputPath);
       logger.info(`下载完成: ${outputPath} (${stats.size} 字节)`);
 
-      return {
+      return await attachChecksums({
         success: true,
         url,
         outputPath,
         size: stats.size,
         method: 'direct',
+        connections: 1,
+        resumedBytes,
+        checksums: hasher.digest(),
         message: '下载完成'
-      };
+      }, options);
     } catch (error) {
       lastError = error;
       
@@ -189,14 +714,19 @@ export async function downloadDirect(url, outputPath, options = {}) {
         }
       }
       
-      // 如果文件已部分下载，尝试删除
-      try {
-        if (fs.existsSync(outputPath)) {
-          fs.unlinkSync(outputPath);
-        }
-      } catch (cleanupError) {
-        logger.warn('清理部分下载文件失败:', cleanupError.message);
+      // 校验值不一致时文件已下载完成，不再重试
+      if (error instanceof ChecksumMismatchError) {
+        throw error;
       }
+
+      // 内容不是视频（错误页面等）时删除已下载的部分，不再重试
+      if (error instanceof InvalidContentError) {
+        removePartFiles(outputPath);
+        logger.error('直接下载失败:', error.message);
+        throw new InvalidContentError(`下载失败: ${error.message}`, error);
+      }
+
+      // 保留已下载的部分（.part 文件），下次重试时继续下载
       
       if (attempt === retries) {
         logger.error(`直接下载失败 (${retries} 次重试):`, error.message);
@@ -210,6 +740,61 @@ export async function downloadDirect(url, outputPath, options = {}) {
   throw lastError || new Error('下载失败');
 }
 
+/**
+ * 检查下载数据开头的特征字节：收集到 SNIFF_LENGTH 字节后立即检查，
+ * 不是视频时抛出 InvalidContentError，调用方据此中止请求，不必下载完整个错误页面
+ *
+ * @param {Buffer} head - 文件中已下载的开头部分（续传时），达到 SNIFF_LENGTH 字节时说明已经检查过
+ * @returns {object} { update(chunk), finish() }，finish 在数据结束时检查不足 SNIFF_LENGTH 字节的内容
+ */
+function createContentCheck(head) {
+  let collected = head.length < SNIFF_LENGTH ? [head] : null;
+  let length = head.length;
+
+  const check = () => {
+    const data = Buffer.concat(collected);
+    collected = null;
+    assertContent(data, { label: '下载的文件' });
+  };
+
+  return {
+    update(chunk) {
+      if (collected) {
+        collected.push(chunk);
+        length += chunk.length;
+        if (length >= SNIFF_LENGTH) {
+          check();
+        }
+      }
+    },
+    finish() {
+      if (collected && length > 0) {
+        check();
+      }
+    }
+  };
+}
+
+/**
+ * 读取 .part 文件开头已下载的字节
+ */
+function readHead(fd, length) {
+  const head = Buffer.alloc(length);
+  const bytesRead = length > 0 ? fs.readSync(fd, head, 0, length, 0) : 0;
+  return head.subarray(0, bytesRead);
+}
+
+/**
+ * 读取下载记录（不做校验），没有记录时返回 null
+ */
+function readPartState(outputPath) {
+  try {
+    return JSON.parse(fs.readFileSync(`${outputPath}.part.json`, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * 格式化字节数
  */
@@ -3,6 +3,7 @@ import { downloadDASH } from './dash-handler.js';
 import { downloadDirect } from './direct-handler.js';
 import { isHLS, isDASH, extractFilename } from '../utils/videoUtils.js';
 import { logger } from '../utils/logger.js';
+import { TokenBucket } from '../utils/bandwidthLimiter.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -27,6 +28,11 @@ export async function downloadVideo(url, outputPath = null, options = {}) {
       outputPath = path.join(downloadsDir, filename);
     }
 
+    // 直接调用（不经过任务管理器）时按 maxBytesPerSecond 创建任务的令牌桶
+    if (!options.bandwidthBucket && options.maxBytesPerSecond) {
+      options = { ...options, bandwidthBucket: new TokenBucket(options.maxBytesPerSecond) };
+    }
+
     logger.info(`开始下载视频: ${url}`);
     logger.info(`输出路径: ${outputPath}`);
 
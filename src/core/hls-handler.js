@@ -2,11 +2,32 @@ import axios from "axios";
 import fs from "fs";
 import path from "path";
 import { logger } from "../utils/logger.js";
+import { detectContainer, getVideoSize, selectTimeRange, summarizeGaps } from "../utils/videoUtils.js";
+import { getFfmpegPath, muxAudioVideo, concatWithFfmpeg, remuxToFormat, trimToClip } from "../utils/ffmpeg.js";
+import { fingerprintSegments, markLiveTask, openSegmentJournal } from "../utils/resumeStore.js";
+import { OrderedWriter } from "../utils/orderedWriter.js";
+import { assertContent, InvalidContentError } from "../utils/contentSniffer.js";
+import { attachChecksums, createHasher, getHashAlgorithms, updateFromFile } from "../utils/checksum.js";
+import { readStream } from "../utils/bandwidthLimiter.js";
+import { getCookieHeaders, refreshCookieHeader } from "../utils/cookieStore.js";
+import {
+  cleanupTempFiles,
+  formatDuration,
+  matchesLanguage,
+  readFileHead,
+  scaleProgress,
+  validateLiveOptions,
+  waitOrStop,
+} from "../utils/streamUtils.js";
 import pLimit from "p-limit";
-import { exec } from "child_process";
-import { promisify } from "util";
+import crypto from "crypto";
+import { Parser } from "m3u8-parser";
 
-const execAsync = promisify(exec);
+// 合并相邻字节范围时单次请求的最大字节数
+const MAX_COALESCED_RANGE_BYTES = 8 * 1024 * 1024;
+
+// 按顺序写入时，内存中等待写入的片段最多占用的字节数
+const MAX_REORDER_BUFFER_BYTES = 64 * 1024 * 1024;
 
 /**
  * 获取浏览器请求头，避免被服务器拒绝
@@ -30,6 +51,7 @@ function getBrowserHeaders(url, extraHeaders = {}) {
       'Sec-Fetch-Dest': 'empty',
       'Sec-Fetch-Mode': 'cors',
       'Sec-Fetch-Site': 'same-origin',
+      ...getCookieHeaders(url),
       ...extraHeaders
     };
   } catch (error) {
@@ -52,145 +74,338 @@ function getBrowserHeaders(url, extraHeaders = {}) {
  */
 export async function downloadHLSFromFile(m3u8FilePath, outputPath, options = {}) {
   const {
-    concurrency = 5,
-    retries = 3,
-    tempDir = path.join(process.cwd(), "temp"),
     onProgress = null,
     baseUrl = null, // 如果片段是 URL，可以指定基础 URL
+    quality = "best", // 主播放列表的画质选择策略
   } = options;
 
-  // 确保临时目录存在
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
+  // 检查 m3u8 文件是否存在
+  if (!fs.existsSync(m3u8FilePath)) {
+    throw new Error(`m3u8 文件不存在: ${m3u8FilePath}`);
   }
 
-  const taskId = Date.now().toString();
-  const segmentDir = path.join(tempDir, `hls_${taskId}`);
+  logger.info(`读取本地 m3u8 文件: ${m3u8FilePath}`);
 
-  try {
-    // 检查 m3u8 文件是否存在
-    if (!fs.existsSync(m3u8FilePath)) {
-      throw new Error(`m3u8 文件不存在: ${m3u8FilePath}`);
-    }
+  // 更新进度：开始读取 m3u8 文件
+  if (onProgress) {
+    onProgress(5, "正在读取 m3u8 文件...");
+  }
 
-    fs.mkdirSync(segmentDir, { recursive: true });
+  // 1. 读取本地 m3u8 文件
+  const m3u8Content = fs.readFileSync(m3u8FilePath, "utf-8");
+  const manifest = parseManifest(m3u8Content);
+  
+  // 获取 m3u8 文件所在目录，用于解析相对路径的片段
+  const m3u8Dir = path.dirname(path.resolve(m3u8FilePath));
+  const resolveUri = (uri) => resolveFileUri(uri, m3u8Dir, baseUrl);
+  let variant = null;
+  let segments;
+
+  // 主播放列表：按画质策略选择子播放列表（可能是本地文件或 URL）
+  if (isMasterPlaylist(manifest)) {
+    variant = selectVariant(manifest, resolveUri, quality);
+    logger.info(
+      `检测到主播放列表，共 ${manifest.playlists.length} 个码率，选择第 ${variant.index + 1} 个: ${describeVariant(variant)}`
+    );
+    ({ segments } = await loadMediaPlaylist(variant.uri, baseUrl));
+  } else {
+    // 解析 m3u8 内容，提取片段路径
+    segments = parseM3U8FromFile(manifest, m3u8Dir, baseUrl);
+  }
+
+  // 2. 下载片段并合并（包括独立的音频、字幕轨道）
+  const result = await downloadWithRenditions(segments, outputPath, options, {
+    manifest,
+    variant,
+    resolve: resolveUri,
+    baseUrl,
+    fetchSegment: (uri, retries, byterange, expect) =>
+      downloadSegmentFromFile(uri, retries, byterange, expect, options.bandwidthBucket),
+  });
+
+  return await attachChecksums(
+    {
+      success: true,
+      file: m3u8FilePath,
+      ...result,
+      variant,
+      message: getCompletionMessage(result),
+    },
+    options
+  );
+}
+
+/**
+ * 下载 HLS (m3u8) 流媒体
+ *
+ * @param {string} m3u8Url - m3u8 播放列表 URL
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @returns {Promise<object>} 下载结果
+ */
+export async function downloadHLS(m3u8Url, outputPath, options = {}) {
+  const {
+    onProgress = null, // 进度回调函数
+    quality = "best", // 主播放列表的画质选择策略
+    live = null, // 直播录制：默认根据 EXT-X-ENDLIST 自动判断，false 时只下载当前窗口
+  } = options;
 
-    logger.info(`读取本地 m3u8 文件: ${m3u8FilePath}`);
+  logger.info(`下载 m3u8 文件: ${m3u8Url}`);
+
+  // 更新进度：开始下载m3u8文件
+  if (onProgress) {
+    onProgress(5, "正在下载 m3u8 文件...");
+  }
+
+  // 1. 下载并解析 m3u8 文件
+  const m3u8Content = await fetchPlaylist(m3u8Url);
+  const manifest = parseManifest(m3u8Content);
+  const resolveUri = (uri) => resolveUrl(uri, m3u8Url);
+  let mediaManifest = manifest;
+  let playlistUrl = m3u8Url;
+  let variant = null;
+  let segments;
+
+  // 主播放列表：按画质策略选择子播放列表
+  if (isMasterPlaylist(manifest)) {
+    variant = selectVariant(manifest, resolveUri, quality);
+    logger.info(
+      `检测到主播放列表，共 ${manifest.playlists.length} 个码率，选择第 ${variant.index + 1} 个: ${describeVariant(variant)}`
+    );
 
-    // 更新进度：开始读取 m3u8 文件
     if (onProgress) {
-      onProgress(5, "正在读取 m3u8 文件...");
+      onProgress(7, `已选择 ${describeVariant(variant)}，正在下载媒体播放列表...`);
     }
 
-    // 1. 读取本地 m3u8 文件
-    const m3u8Content = fs.readFileSync(m3u8FilePath, "utf-8");
-    
-    // 获取 m3u8 文件所在目录，用于解析相对路径的片段
-    const m3u8Dir = path.dirname(path.resolve(m3u8FilePath));
-    
-    // 解析 m3u8 内容，提取片段路径
-    const segments = parseM3U8FromFile(m3u8Content, m3u8Dir, baseUrl);
-    logger.info(`找到 ${segments.length} 个视频片段`);
+    playlistUrl = variant.uri;
+    ({ manifest: mediaManifest, segments } = await loadMediaPlaylist(playlistUrl));
+  } else {
+    // 解析 m3u8 内容，提取片段 URL
+    segments = parseM3U8(manifest, m3u8Url);
+  }
 
-    if (segments.length === 0) {
-      throw new Error("未找到视频片段");
-    }
+  // 没有 EXT-X-ENDLIST 的播放列表是直播流，进入录制模式
+  if (!mediaManifest.endList && live !== false) {
+    logger.info(`检测到直播流，开始录制: ${playlistUrl}`);
 
-    // 更新进度：开始下载片段
-    if (onProgress) {
-      onProgress(10, `找到 ${segments.length} 个片段，开始下载...`);
+    const liveError = validateLiveOptions(options);
+    if (liveError) {
+      throw new Error(liveError);
+    }
+    if (options.taskId) {
+      markLiveTask(options.taskId);
     }
 
-    // 2. 下载所有片段
-    const limit = pLimit(concurrency);
-    const segmentFiles = [];
-    let downloadedCount = 0;
-    const totalSegments = segments.length;
-    const downloadProgressStart = 10;
-    const downloadProgressEnd = 80;
+    // 所选码率引用的独立音频轨道与视频同时录制
+    const rendition = variant ? selectAudioRendition(manifest, variant, options.language, resolveUri) : null;
+    let audio = null;
+    if (rendition) {
+      logger.info(`同时录制独立音频轨道: ${rendition.name}${rendition.language ? ` (${rendition.language})` : ""}`);
+      audio = { rendition, ...(await loadMediaPlaylist(rendition.uri)) };
+    }
 
-    const downloadPromises = segments.map((segmentPath, index) =>
-      limit(async () => {
-        const segmentFile = path.join(
-          segmentDir,
-          `segment_${index.toString().padStart(6, "0")}.ts`
-        );
-        await downloadSegmentFromFile(segmentPath, segmentFile, retries);
-        segmentFiles.push(segmentFile);
-        downloadedCount++;
-
-        // 更新进度
-        if (onProgress) {
-          const segmentProgress =
-            downloadProgressStart +
-            (downloadedCount / totalSegments) *
-              (downloadProgressEnd - downloadProgressStart);
-          onProgress(
-            segmentProgress,
-            `已下载 ${downloadedCount}/${totalSegments} 个片段`
-          );
-        }
+    const result = await recordLiveHLS(playlistUrl, outputPath, options, {
+      manifest: mediaManifest,
+      segments,
+      audio,
+    });
 
-        logger.debug(`下载片段 ${index + 1}/${segments.length}: ${segmentPath}`);
-      })
+    return await attachChecksums(
+      {
+        success: true,
+        url: m3u8Url,
+        ...result,
+        variant,
+        message: "录制完成",
+      },
+      options
     );
+  }
 
-    await Promise.all(downloadPromises);
-    logger.info("所有片段下载完成");
+  // 2. 下载片段并合并（包括独立的音频、字幕轨道）
+  const result = await downloadWithRenditions(segments, outputPath, options, {
+    manifest,
+    variant,
+    resolve: resolveUri,
+    baseUrl: null,
+    fetchSegment: (uri, retries, byterange, expect) =>
+      downloadSegment(uri, retries, byterange, expect, options.bandwidthBucket),
+  });
+
+  return await attachChecksums(
+    {
+      success: true,
+      url: m3u8Url,
+      ...result,
+      variant,
+      message: getCompletionMessage(result),
+    },
+    options
+  );
+}
 
-    // 更新进度：开始合并
-    if (onProgress) {
-      onProgress(80, "正在合并视频片段...");
-    }
+/**
+ * 探测 HLS 播放列表，用于检测结果：播放列表类型、码率列表、总时长、加密方式和估算大小
+ * 主播放列表会继续获取码率最高的子播放列表，用于计算时长、检查加密和估算大小
+ *
+ * @param {string} m3u8Url - 播放列表 URL
+ * @returns {Promise<object>} { kind, live, duration, segments, variants, encrypted, encryption, drm, estimatedSize }
+ */
+export async function probeHLS(m3u8Url) {
+  const content = await fetchPlaylist(m3u8Url);
+  const manifest = parseManifest(content);
 
-    // 3. 合并片段
-    logger.info("开始合并视频片段...");
-    const finalOutputPath = await mergeSegments(segmentFiles, outputPath);
+  if (!isMasterPlaylist(manifest)) {
+    return { kind: "media", ...(await probeMediaPlaylist(manifest, content, m3u8Url)), variants: [] };
+  }
 
-    // 更新进度：合并完成
-    if (onProgress) {
-      onProgress(95, "合并完成，正在清理临时文件...");
+  const resolveUri = (uri) => resolveUrl(uri, m3u8Url);
+  const best = selectVariant(manifest, resolveUri, "best");
+  const mediaContent = await fetchPlaylist(best.uri);
+  const media = await probeMediaPlaylist(parseManifest(mediaContent), `${mediaContent}\n${content}`, best.uri);
+
+  // 各码率的大小按与所探测码率的码率比例估算，没有探测结果时按声明的码率计算
+  const variants = manifest.playlists.map((playlist, index) => {
+    const attributes = playlist.attributes || {};
+    const bandwidth = attributes.BANDWIDTH || null;
+    const averageBandwidth = Number(attributes["AVERAGE-BANDWIDTH"]) || null; // m3u8-parser 不转换为数字
+    let estimatedSize = null;
+    if (index === best.index) {
+      estimatedSize = media.estimatedSize;
+    } else if (media.estimatedSize && bandwidth && best.bandwidth) {
+      estimatedSize = Math.round((media.estimatedSize * bandwidth) / best.bandwidth);
+    } else if (media.duration && (averageBandwidth || bandwidth)) {
+      estimatedSize = Math.round(((averageBandwidth || bandwidth) / 8) * media.duration);
     }
 
-    // 4. 清理临时文件
-    cleanupTempFiles(segmentDir);
+    return {
+      index,
+      uri: resolveUri(playlist.uri),
+      bandwidth,
+      averageBandwidth,
+      width: attributes.RESOLUTION ? attributes.RESOLUTION.width : null,
+      height: attributes.RESOLUTION ? attributes.RESOLUTION.height : null,
+      codecs: attributes.CODECS || null,
+      frameRate: attributes["FRAME-RATE"] || null,
+      estimatedSize,
+    };
+  });
 
-    const stats = fs.statSync(finalOutputPath);
+  return { kind: "master", ...media, variants };
+}
 
-    // 更新进度：完成
-    if (onProgress) {
-      onProgress(100, "下载完成");
+/**
+ * 探测媒体播放列表：时长、片段数量、加密方式和估算大小
+ * 直播流只有当前窗口中的片段，不计算时长和大小
+ *
+ * @param {object} manifest - 媒体播放列表解析结果
+ * @param {string} content - 播放列表文本（媒体播放列表和主播放列表），用于查找 EXT-X-KEY / EXT-X-SESSION-KEY
+ * @param {string} playlistUrl - 媒体播放列表 URL
+ */
+async function probeMediaPlaylist(manifest, content, playlistUrl) {
+  const segments = parseM3U8(manifest, playlistUrl);
+  const live = !manifest.endList;
+  const duration = live ? null : Math.round(segments.reduce((sum, segment) => sum + segment.duration, 0) * 1000) / 1000;
+  const { methods, drm } = findKeyInfo(content);
+
+  return {
+    live,
+    duration,
+    segments: segments.length,
+    encrypted: methods.length > 0 || drm.length > 0,
+    encryption: methods[0] || null,
+    drm,
+    estimatedSize: live ? null : await estimatePlaylistSize(segments, duration),
+  };
+}
+
+/**
+ * HLS 密钥格式（KEYFORMAT）对应的 DRM 系统
+ */
+const DRM_KEY_FORMATS = {
+  "com.apple.streamingkeydelivery": "FairPlay",
+  "com.microsoft.playready": "PlayReady",
+  "urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed": "Widevine",
+  "org.w3.clearkey": "ClearKey",
+};
+
+/**
+ * 从播放列表文本中查找加密方式（EXT-X-KEY 的 METHOD）和 DRM 系统（KEYFORMAT）
+ * m3u8-parser 不会把 DRM 密钥和 EXT-X-SESSION-KEY 放到片段信息中，所以直接读取文本
+ *
+ * @returns {object} { methods, drm }
+ */
+function findKeyInfo(content) {
+  const methods = new Set();
+  const drm = new Set();
+
+  for (const [, attributes] of content.matchAll(/^#EXT-X-(?:SESSION-)?KEY:(.*)$/gm)) {
+    const method = /METHOD=([^,\s]+)/.exec(attributes);
+    const keyFormat = /KEYFORMAT="([^"]*)"/.exec(attributes);
+
+    if (!method || method[1] === "NONE") {
+      continue;
     }
+    methods.add(method[1]);
+    if (keyFormat && keyFormat[1] !== "identity") {
+      drm.add(DRM_KEY_FORMATS[keyFormat[1].toLowerCase()] || keyFormat[1]);
+    }
+  }
 
-    return {
-      success: true,
-      file: m3u8FilePath,
-      outputPath: finalOutputPath,
-      size: stats.size,
-      segments: segments.length,
-      message: "下载完成",
-    };
-  } catch (error) {
-    // 清理临时文件
-    cleanupTempFiles(segmentDir);
-    throw error;
+  return { methods: [...methods], drm: [...drm] };
+}
+
+/**
+ * 估算媒体播放列表的总大小
+ * 全部是字节范围片段时直接相加；否则按前几个片段中第一个能获取到大小的片段，
+ * 以其每秒字节数乘以总时长估算
+ *
+ * @returns {Promise<number|null>} 字节数，无法估算时返回 null
+ */
+async function estimatePlaylistSize(segments, duration) {
+  if (segments.length === 0) {
+    return null;
+  }
+
+  if (segments.every((segment) => segment.byterange)) {
+    return segments.reduce((sum, segment) => sum + segment.byterange.length, 0);
+  }
+
+  for (const segment of segments.slice(0, 3)) {
+    if (!(segment.duration > 0)) {
+      continue;
+    }
+    const size = segment.byterange ? segment.byterange.length : (await getVideoSize(segment.uri, { timeout: 10000 }))?.size;
+    if (size) {
+      return Math.round((size / segment.duration) * duration);
+    }
   }
+
+  return null;
 }
 
 /**
- * 下载 HLS (m3u8) 流媒体
+ * 录制直播 HLS 流
+ * 按目标时长（EXT-X-TARGETDURATION）轮询媒体播放列表，按媒体序列号下载新片段，
+ * 遇到 EXT-X-ENDLIST、达到 maxDuration 或收到停止请求时结束录制并合并；
+ * 所选码率引用独立音频轨道时同时录制音频播放列表，录制结束后合成到视频文件中
  *
- * @param {string} m3u8Url - m3u8 播放列表 URL
+ * @param {string} playlistUrl - 媒体播放列表 URL
  * @param {string} outputPath - 输出文件路径
  * @param {object} options - 选项
- * @returns {Promise<object>} 下载结果
+ * @param {object} initial - 首次获取的 { manifest, segments, audio }，audio 为 { rendition, manifest, segments }（可选）
+ * @returns {Promise<object>} 录制结果
  */
-export async function downloadHLS(m3u8Url, outputPath, options = {}) {
+async function recordLiveHLS(playlistUrl, outputPath, options, initial) {
   const {
-    concurrency = 5, // 并发下载片段数
-    retries = 3, // 重试次数
+    concurrency = 5,
+    retries = 3,
     tempDir = path.join(process.cwd(), "temp"),
-    onProgress = null, // 进度回调函数
+    onProgress = null,
+    maxDuration = null, // 最长录制时长（秒）
+    signal = null, // 停止录制的信号（AbortSignal）
+    outputFormat = "mp4", // 输出容器格式：mp4 | mkv | ts
+    bandwidthBucket = null, // 任务限速的令牌桶
   } = options;
 
   // 确保临时目录存在
@@ -199,138 +414,133 @@ export async function downloadHLS(m3u8Url, outputPath, options = {}) {
   }
 
   const taskId = Date.now().toString();
-  const segmentDir = path.join(tempDir, `hls_${taskId}`);
+  const segmentDir = path.join(tempDir, `hls_live_${taskId}`);
 
   try {
     fs.mkdirSync(segmentDir, { recursive: true });
 
-    logger.info(`下载 m3u8 文件: ${m3u8Url}`);
+    const loadKey = createKeyLoader(retries);
+    const limit = pLimit(concurrency);
+    const video = createLiveTrack(playlistUrl, initial, path.join(segmentDir, "recording"));
+    const audio = initial.audio
+      ? createLiveTrack(initial.audio.rendition.uri, initial.audio, path.join(segmentDir, "audio"))
+      : null;
+    let skippedSegments = 0;
+    let stopReason = null;
+
+    const reportProgress = () => {
+      if (onProgress) {
+        const progress = maxDuration ? (video.duration / maxDuration) * 100 : 0;
+        onProgress(
+          Math.min(progress, 99),
+          `已录制 ${formatDuration(video.duration)} (${video.count} 个片段)`,
+          { live: true, recordedDuration: video.duration, recordedSegments: video.count }
+        );
+      }
+    };
+
+    reportProgress();
 
-    // 更新进度：开始下载m3u8文件
-    console.log("🚀 ~ downloadHLS ~ onProgress:", onProgress)
-    if (onProgress) {
-      onProgress(5, "正在下载 m3u8 文件...");
-    }
+    while (!stopReason) {
+      // 达到最长录制时长时，只保留需要的片段
+      const newSegments = takeDuration(
+        getNewLiveSegments(video),
+        maxDuration ? maxDuration - video.duration : Infinity
+      );
+      skippedSegments += await recordLiveSegments(video, newSegments, limit, retries, loadKey, bandwidthBucket);
 
-    // 1. 下载并解析 m3u8 文件
-    let m3u8Response;
-    const m3u8Retries = 3;
-    let m3u8LastError = null;
-    
-    for (let attempt = 1; attempt <= m3u8Retries; attempt++) {
-      try {
-        if (attempt > 1) {
-          logger.info(`下载 m3u8 文件 (重试 ${attempt}/${m3u8Retries}): ${m3u8Url}`);
-          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
-        }
-        
-        m3u8Response = await axios.get(m3u8Url, {
-          headers: getBrowserHeaders(m3u8Url),
-          timeout: 30000,
-          maxRedirects: 5,
-          validateStatus: (status) => status < 500
-        });
-        
-        if (m3u8Response.status >= 400) {
-          throw new Error(`HTTP ${m3u8Response.status}: ${m3u8Response.statusText}`);
-        }
-        
-        break; // 成功，退出重试循环
-      } catch (error) {
-        m3u8LastError = error;
-        const errorMsg = error.message || error.toString();
-        
-        if (attempt === m3u8Retries) {
-          logger.error(`下载 m3u8 文件失败 (${m3u8Retries} 次重试): ${errorMsg}`);
-          throw new Error(`下载 m3u8 文件失败: ${errorMsg}`);
-        } else {
-          logger.warn(`下载 m3u8 文件失败，重试 ${attempt}/${m3u8Retries}: ${errorMsg}`);
-        }
+      // 音频只录制到与视频相同的时长
+      if (audio) {
+        const newAudio = takeDuration(getNewLiveSegments(audio), video.duration - audio.duration);
+        skippedSegments += await recordLiveSegments(audio, newAudio, limit, retries, loadKey, bandwidthBucket);
       }
-    }
-    const m3u8Content = m3u8Response.data;
 
-    // 解析 m3u8 内容，提取片段 URL
-    const segments = parseM3U8(m3u8Content, m3u8Url);
-    logger.info(`找到 ${segments.length} 个视频片段`);
+      if (newSegments.length > 0) {
+        reportProgress();
+      }
 
-    if (segments.length === 0) {
-      throw new Error("未找到视频片段");
-    }
+      if (video.manifest.endList) {
+        stopReason = "endlist";
+      } else if (maxDuration && video.duration >= maxDuration) {
+        stopReason = "maxDuration";
+      } else if (signal && signal.aborted) {
+        stopReason = "stopped";
+      }
 
-    // 更新进度：开始下载片段
-    if (onProgress) {
-      onProgress(10, `找到 ${segments.length} 个片段，开始下载...`);
-    }
+      if (stopReason) {
+        break;
+      }
 
-    // 2. 下载所有片段
-    const limit = pLimit(concurrency);
-    const segmentFiles = [];
-    let downloadedCount = 0;
-    const totalSegments = segments.length;
-    const downloadProgressStart = 10; // 下载片段进度起始百分比
-    const downloadProgressEnd = 80; // 下载片段进度结束百分比
+      // 播放列表没有更新时，按目标时长的一半重新获取
+      const targetDuration = video.manifest.targetDuration || 6;
+      const waitTime = (newSegments.length > 0 ? targetDuration : targetDuration / 2) * 1000;
+      await waitOrStop(waitTime, signal);
 
-    const downloadPromises = segments.map((segmentUrl, index) =>
-      limit(async () => {
-        const segmentFile = path.join(
-          segmentDir,
-          `segment_${index.toString().padStart(6, "0")}.ts`
-        );
-        await downloadSegment(segmentUrl, segmentFile, retries);
-        segmentFiles.push(segmentFile);
-        downloadedCount++;
-
-        // 更新进度
-        if (onProgress) {
-          const segmentProgress =
-            downloadProgressStart +
-            (downloadedCount / totalSegments) *
-              (downloadProgressEnd - downloadProgressStart);
-          onProgress(
-            segmentProgress,
-            `已下载 ${downloadedCount}/${totalSegments} 个片段`
-          );
+      if (signal && signal.aborted) {
+        stopReason = "stopped";
+        break;
+      }
+
+      for (const track of audio ? [video, audio] : [video]) {
+        try {
+          ({ manifest: track.manifest, segments: track.segments } = await loadMediaPlaylist(track.playlistUrl));
+          track.playlistFailures = 0;
+        } catch (error) {
+          track.playlistFailures++;
+          logger.warn(`刷新直播播放列表失败 (${track.playlistFailures}/${retries}): ${error.message}`);
+          if (track.playlistFailures >= retries) {
+            stopReason = "error";
+          }
         }
+      }
+    }
 
-        logger.debug(`下载片段 ${index + 1}/${segments.length}: ${segmentUrl}`);
-      })
+    logger.info(
+      `直播录制结束 (${stopReason})，共录制 ${video.count} 个片段，时长 ${formatDuration(video.duration)}`
     );
 
-    await Promise.all(downloadPromises);
-    logger.info("所有片段下载完成");
+    if (video.count === 0) {
+      throw new Error("未录制到任何直播片段");
+    }
+
+    const container = detectContainer(readFileHead(video.streamPath));
 
-    // 更新进度：开始合并
     if (onProgress) {
-      onProgress(80, "正在合并视频片段...");
+      onProgress(99, "正在封装已录制的内容...", { live: true, recordedDuration: video.duration });
     }
 
-    // 3. 合并片段
-    logger.info("开始合并视频片段...");
-    const finalOutputPath = await mergeSegments(segmentFiles, outputPath);
+    const output = await remuxToFormat(video.streamPath, outputPath, outputFormat, container);
+    const result = {
+      outputPath: output.outputPath,
+      container,
+      outputFormat: output.format,
+      remuxMethod: output.method,
+    };
 
-    // 更新进度：合并完成
-    if (onProgress) {
-      onProgress(95, "合并完成，正在清理临时文件...");
+    if (audio && audio.count > 0) {
+      await attachAudio(result, audio.streamPath, detectContainer(readFileHead(audio.streamPath)));
+      result.audio = initial.audio.rendition;
+    } else if (audio) {
+      logger.warn(`未录制到独立音频轨道的片段: ${audio.playlistUrl}`);
     }
 
-    // 4. 清理临时文件
     cleanupTempFiles(segmentDir);
 
-    const stats = fs.statSync(finalOutputPath);
+    const stats = fs.statSync(result.outputPath);
 
-    // 更新进度：完成
     if (onProgress) {
-      onProgress(100, "下载完成");
+      onProgress(100, "录制完成", { live: true, recordedDuration: video.duration });
     }
 
     return {
-      success: true,
-      url: m3u8Url,
-      outputPath: finalOutputPath,
+      ...result,
       size: stats.size,
-      segments: segments.length,
-      message: "下载完成",
+      segments: video.count,
+      encrypted: video.encrypted || Boolean(audio && audio.encrypted),
+      live: true,
+      recordedDuration: video.duration,
+      skippedSegments,
+      stopReason,
     };
   } catch (error) {
     // 清理临时文件
@@ -340,224 +550,1441 @@ export async function downloadHLS(m3u8Url, outputPath, options = {}) {
 }
 
 /**
- * 解析 m3u8 内容，提取片段 URL（从 URL）
+ * 创建直播录制中一个播放列表（视频或独立音频）的状态
  */
-function parseM3U8(content, baseUrl) {
-  const segments = [];
-  const lines = content.split("\n");
-  const baseUrlObj = new URL(baseUrl);
-  const basePath = baseUrl.substring(0, baseUrl.lastIndexOf("/") + 1);
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
+function createLiveTrack(playlistUrl, { manifest, segments }, streamPath) {
+  return {
+    playlistUrl,
+    manifest,
+    segments,
+    streamPath, // 片段按顺序追加写入
+    initData: new Map(), // map.id -> 初始化片段数据
+    currentMapId: null,
+    lastSequence: -1,
+    count: 0,
+    duration: 0,
+    encrypted: false,
+    playlistFailures: 0,
+  };
+}
 
-    // 跳过注释和空行
-    if (!line || line.startsWith("#")) {
-      continue;
-    }
+/**
+ * 获取播放列表中尚未录制的片段
+ */
+function getNewLiveSegments(track) {
+  const newSegments = track.segments.filter((segment) => segment.sequence > track.lastSequence);
 
-    // 如果是 URL
-    if (line.startsWith("http://") || line.startsWith("https://")) {
-      segments.push(line);
-    } else if (line.startsWith("/")) {
-      // 绝对路径
-      segments.push(`${baseUrlObj.origin}${line}`);
-    } else {
-      // 相对路径
-      segments.push(`${basePath}${line}`);
-    }
+  if (track.lastSequence >= 0 && newSegments.length > 0 && newSegments[0].sequence > track.lastSequence + 1) {
+    logger.warn(
+      `直播窗口已越过 ${newSegments[0].sequence - track.lastSequence - 1} 个片段，这些片段无法再下载: ${track.playlistUrl}`
+    );
   }
 
-  return segments;
+  return newSegments;
+}
+
+/**
+ * 从开头选取片段，直到总时长达到 duration
+ */
+function takeDuration(segments, duration) {
+  let remaining = duration;
+  return segments.filter((segment) => {
+    if (remaining <= 0) {
+      return false;
+    }
+    remaining -= segment.duration;
+    return true;
+  });
 }
 
 /**
- * 解析 m3u8 内容，提取片段路径（从本地文件）
+ * 下载一轮新的直播片段并按序列号顺序追加到录制文件，初始化片段在首次出现或切换时插入
+ *
+ * @returns {Promise<number>} 跳过的片段数量
  */
-function parseM3U8FromFile(content, m3u8Dir, baseUrl = null) {
-  const segments = [];
-  const lines = content.split("\n");
+async function recordLiveSegments(track, newSegments, limit, retries, loadKey, bandwidthBucket) {
+  // 初始化片段发生变化时下载新的初始化片段
+  for (const segment of newSegments) {
+    if (segment.map && !track.initData.has(segment.map.id)) {
+      // 初始化片段未指定 IV 时，使用首个引用它的片段的序列号
+      const initSegment = { ...segment.map, sequence: segment.sequence };
+      let data = await downloadSegment(initSegment.uri, retries, initSegment.byterange, getExpectedContent(initSegment), bandwidthBucket);
+      if (initSegment.key) {
+        data = await decryptSegment(data, initSegment, loadKey);
+      }
+      track.initData.set(segment.map.id, data);
+    }
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
+  const results = await Promise.all(
+    newSegments.map((segment) =>
+      limit(async () => {
+        try {
+          let data = await downloadSegment(segment.uri, retries, segment.byterange, getExpectedContent(segment), bandwidthBucket);
+          if (segment.key) {
+            data = await decryptSegment(data, segment, loadKey);
+          }
+          return data;
+        } catch (error) {
+          // 直播片段过期后无法重新获取，跳过继续录制
+          logger.warn(`跳过直播片段 #${segment.sequence}: ${error.message}`);
+          return null;
+        }
+      })
+    )
+  );
 
-    // 跳过注释和空行
-    if (!line || line.startsWith("#")) {
+  let skipped = 0;
+  for (const [index, segment] of newSegments.entries()) {
+    if (!results[index]) {
+      skipped++;
       continue;
     }
-
-    // 如果是完整的 URL
-    if (line.startsWith("http://") || line.startsWith("https://")) {
-      segments.push(line);
-    } else if (baseUrl) {
-      // 如果提供了 baseUrl，将相对路径转换为完整 URL
-      const baseUrlObj = new URL(baseUrl);
-      const basePath = baseUrl.substring(0, baseUrl.lastIndexOf("/") + 1);
-      
-      if (line.startsWith("/")) {
-        segments.push(`${baseUrlObj.origin}${line}`);
-      } else {
-        segments.push(`${basePath}${line}`);
-      }
-    } else {
-      // 本地文件路径：相对路径转换为绝对路径
-      const segmentPath = path.isAbsolute(line) 
-        ? line 
-        : path.join(m3u8Dir, line);
-      segments.push(segmentPath);
+    if (segment.map && segment.map.id !== track.currentMapId) {
+      fs.appendFileSync(track.streamPath, track.initData.get(segment.map.id));
+      track.currentMapId = segment.map.id;
     }
+    fs.appendFileSync(track.streamPath, results[index]);
+    track.count++;
+    track.duration += segment.duration;
+    track.encrypted = track.encrypted || Boolean(segment.key);
+  }
+
+  if (newSegments.length > 0) {
+    track.lastSequence = newSegments[newSegments.length - 1].sequence;
   }
 
-  return segments;
+  return skipped;
 }
 
 /**
- * 下载单个片段（从 URL）
+ * 下载视频片段，并下载所选码率引用的独立音频、字幕轨道（EXT-X-MEDIA）
+ * 有 ffmpeg 时将音频合成到视频文件中，否则保存为单独的音频文件
+ *
+ * @param {Array<object>} segments - 视频片段列表
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @param {object} context - 主播放列表、所选码率、URI 解析函数和片段获取函数
+ * @returns {Promise<object>} 合并结果
  */
-async function downloadSegment(url, filePath, retries) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await axios.get(url, {
-        responseType: "arraybuffer",
-        timeout: 60000,
-        headers: getBrowserHeaders(url),
-        maxRedirects: 5,
-        validateStatus: (status) => status < 500
-      });
+async function downloadWithRenditions(segments, outputPath, options, context) {
+  const {
+    tempDir = path.join(process.cwd(), "temp"),
+    onProgress = null,
+    language = null, // 音频、字幕轨道的语言偏好
+    subtitles = false, // 是否下载字幕轨道
+  } = options;
+  const { manifest, variant, resolve, baseUrl, fetchSegment } = context;
 
-      if (response.status >= 400) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  const audio = variant ? selectAudioRendition(manifest, variant, language, resolve) : null;
+  const subtitleTracks =
+    variant && subtitles ? selectSubtitleRenditions(manifest, variant, language, resolve) : [];
 
-      if (!response.data || response.data.length === 0) {
-        throw new Error('下载的片段数据为空');
-      }
+  if (!audio && subtitleTracks.length === 0) {
+    return await downloadSegmentsAndMerge(segments, outputPath, options, fetchSegment);
+  }
 
-      fs.writeFileSync(filePath, response.data);
-      return;
-    } catch (error) {
-      const errorMsg = error.message || error.toString();
-      
-      if (attempt === retries) {
-        throw new Error(
-          `下载片段失败 (${retries} 次重试): ${url} - ${errorMsg}`
-        );
-      }
-      
-      logger.warn(`下载片段失败，重试 ${attempt}/${retries}: ${url} - ${errorMsg}`);
-      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+  // 视频 0-70%，音频 70-90%，字幕和合成 90-100%
+  const videoProgressEnd = audio ? 70 : 90;
+  const result = await downloadSegmentsAndMerge(
+    segments,
+    outputPath,
+    { ...options, onProgress: scaleProgress(onProgress, 0, videoProgressEnd) },
+    fetchSegment
+  );
+
+  if (audio) {
+    logger.info(`下载独立音频轨道: ${audio.name}${audio.language ? ` (${audio.language})` : ""}`);
+
+    const { segments: audioSegments } = await loadMediaPlaylist(audio.uri, baseUrl);
+    const audioResult = await downloadSegmentsAndMerge(
+      audioSegments,
+      path.join(tempDir, `audio_${Date.now()}.ts`),
+      {
+        ...options,
+        taskId: options.taskId ? `${options.taskId}_audio` : null,
+        onProgress: scaleProgress(onProgress, 70, 90, "音频"),
+      },
+      fetchSegment
+    );
+
+    if (onProgress) {
+      onProgress(90, "正在合成音视频...");
     }
-  }
-}
 
-/**
- * 下载单个片段（从本地文件或 URL）
- */
-async function downloadSegmentFromFile(segmentPath, filePath, retries) {
-  // 如果是 URL，使用 HTTP 下载
-  if (segmentPath.startsWith("http://") || segmentPath.startsWith("https://")) {
-    return await downloadSegment(segmentPath, filePath, retries);
-  }
+    await attachAudio(result, audioResult.outputPath, audioResult.container);
+    if (!result.muxed && audioResult.checksums) {
+      result.audioChecksums = audioResult.checksums;
+    }
 
-  // 如果是本地文件，直接复制
-  if (!fs.existsSync(segmentPath)) {
-    throw new Error(`片段文件不存在: ${segmentPath}`);
+    result.audio = audioResult.gaps
+      ? { ...audio, missingSegments: audioResult.missingSegments, gaps: audioResult.gaps }
+      : audio;
+    result.size = fs.statSync(result.outputPath).size;
   }
 
-  // 复制文件
-  fs.copyFileSync(segmentPath, filePath);
-  logger.debug(`复制本地片段: ${segmentPath} -> ${filePath}`);
-}
+  if (subtitleTracks.length > 0) {
+    if (onProgress) {
+      onProgress(95, `正在下载 ${subtitleTracks.length} 个字幕轨道...`);
+    }
+    if (result.clip) {
+      logger.warn("字幕轨道不按时间范围裁剪，字幕时间轴仍对应完整视频");
+    }
+
+    result.subtitles = [];
+    for (const track of subtitleTracks) {
+      const suffix = track.language || track.name.replace(/[^\w-]+/g, "_");
+      const subtitlePath = result.outputPath.replace(/\.[^.]+$/, "") + `.${suffix}.vtt`;
+      const { segments: subtitleSegments } = await loadMediaPlaylist(track.uri, baseUrl);
+      await downloadSubtitleTrack(subtitleSegments, subtitlePath, options, fetchSegment);
+
+      result.subtitles.push({ ...track, path: subtitlePath });
+      logger.info(`字幕下载完成: ${subtitlePath}`);
+    }
+  }
+
+  if (onProgress) {
+    onProgress(100, "下载完成");
+  }
+
+  return result;
+}
 
 /**
- * 合并视频片段
- * 使用 Node.js fs 模块合并，避免 Windows copy 命令参数长度限制
+ * 将音频合成到视频文件中（不重新编码），没有 ffmpeg 时将音频保存在视频文件旁边
+ * 设置 result.muxed，未合成时设置 result.audioPath
+ *
+ * @param {object} result - 视频下载结果（outputPath、outputFormat）
+ * @param {string} audioFile - 音频文件，处理后会被删除或移动
+ * @param {string} audioContainer - 音频的容器格式（detectContainer 的结果）
  */
-async function mergeSegments(segmentFiles, outputPath) {
+async function attachAudio(result, audioFile, audioContainer) {
+  if (await getFfmpegPath()) {
+    const muxedPath = result.outputPath.replace(/(\.[^.]+)?$/, ".muxed$1");
+    try {
+      await muxAudioVideo(result.outputPath, audioFile, muxedPath, result.outputFormat);
+      fs.renameSync(muxedPath, result.outputPath);
+    } finally {
+      removeFile(muxedPath);
+      removeFile(audioFile);
+    }
+
+    delete result.checksums;
+    result.muxed = true;
+    logger.info(`音视频合成完成: ${result.outputPath}`);
+  } else {
+    const audioExt = { fmp4: ".m4a", ts: ".ts" }[audioContainer] || ".aac";
+    const audioPath = result.outputPath.replace(/\.[^.]+$/, "") + `.audio${audioExt}`;
+    fs.renameSync(audioFile, audioPath);
+
+    result.muxed = false;
+    result.audioPath = audioPath;
+    logger.warn(`未找到 ffmpeg，音频已单独保存: ${audioPath}`);
+  }
+}
+
+/**
+ * 下载片段并合并
+ *
+ * @param {Array<object>} segments - 片段列表
+ * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项
+ * @param {function} fetchSegment - 片段获取函数 (uri, retries, byterange, expect) => Buffer
+ * @returns {Promise<object>} 合并结果
+ */
+async function downloadSegmentsAndMerge(segments, outputPath, options, fetchSegment) {
+  const {
+    concurrency = 5, // 并发下载片段数
+    retries = 3, // 重试次数
+    tempDir = path.join(process.cwd(), "temp"),
+    onProgress = null, // 进度回调函数
+    stripAds = false, // 去除广告：true 使用默认规则，或传入规则对象
+    taskId = null, // 稳定的任务ID：指定后失败时保留已下载片段，可断点续传
+    outputFormat = "mp4", // 输出容器格式：mp4 | mkv | ts
+    start = null, // 开始时间（秒）
+    end = null, // 结束时间（秒）
+    maxBufferedBytes = MAX_REORDER_BUFFER_BYTES, // 重排缓冲区内存上限，超出后暂存到磁盘
+    gapPolicy = "strict", // 片段下载失败时：strict 任务失败，lenient 跳过并在结果中列出
+  } = options;
+
+  logger.info(`找到 ${segments.length} 个视频片段`);
+
+  if (segments.length === 0) {
+    throw new Error("未找到视频片段");
+  }
+
+  // 去除广告片段（下载前过滤，节省带宽）
+  let adsRemoved = null;
+  if (stripAds) {
+    const filtered = filterAdSegments(segments, stripAds === true ? {} : stripAds);
+    segments = filtered.segments;
+    adsRemoved = filtered.removed;
+  }
+
+  // 按时间范围只下载有重叠的片段（时间按去除广告后的内容计算）
+  let clip = null;
+  if (start !== null || end !== null) {
+    ({ segments, clip } = selectTimeRange(segments, start, end));
+    logger.info(
+      `时间范围 ${clip.start}s - ${clip.end}s，下载 ${segments.length} 个片段 (${clip.rangeStart.toFixed(3)}s - ${clip.rangeEnd.toFixed(3)}s)`
+    );
+  }
+
+  const encryptedCount = segments.filter((segment) => segment.key).length;
+  if (encryptedCount > 0) {
+    logger.info(`其中 ${encryptedCount} 个片段已加密，下载后将进行解密`);
+  }
+
+  // 确保临时目录存在
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  const segmentDir = path.join(tempDir, `hls_${taskId || Date.now()}`);
+  let writer = null;
+
   try {
-    logger.debug(`开始合并 ${segmentFiles.length} 个片段到: ${outputPath}`);
-    
-    // 使用 Node.js fs 模块合并文件，避免命令行参数长度限制
-    const writeStream = fs.createWriteStream(outputPath);
-    
-    // 按顺序合并每个片段文件
-    for (let i = 0; i < segmentFiles.length; i++) {
-      const segmentFile = segmentFiles[i];
-      
-      // 检查文件是否存在
-      if (!fs.existsSync(segmentFile)) {
-        throw new Error(`片段文件不存在: ${segmentFile}`);
+    fs.mkdirSync(segmentDir, { recursive: true });
+
+    const loadKey = createKeyLoader(retries);
+    const journal = openSegmentJournal(
+      segmentDir,
+      segments.length,
+      fingerprintSegments(segments, { stripAds, start, end })
+    );
+
+    // 不连续的片段组时间戳不连续，有 ffmpeg 时每组写入单独的文件，最后拼接
+    const groups = splitDiscontinuityGroups(segments);
+    const splitGroups = groups.length > 1 && (await getFfmpegPath());
+    const groupOf = new Array(segments.length);
+    groups.forEach((group, groupIndex) => {
+      group.indexes.forEach((index) => (groupOf[index] = groupIndex));
+    });
+    const getStreamPath = (index) =>
+      splitGroups
+        ? path.join(segmentDir, `group_${groupOf[index].toString().padStart(3, "0")}`)
+        : path.join(segmentDir, "merged");
+
+    // 断点续传：输出文件截断到最后一次记录的大小，从下一个片段继续写入
+    const startIndex = journal.written ? journal.written.index + 1 : 0;
+    if (journal.written) {
+      for (const [file, size] of Object.entries(journal.written.files)) {
+        fs.truncateSync(path.join(segmentDir, file), size);
       }
-      
-      // 读取并追加到输出文件
-      await new Promise((resolve, reject) => {
-        const readStream = fs.createReadStream(segmentFile);
-        
-        readStream.on('error', (err) => {
-          writeStream.destroy();
-          reject(new Error(`读取片段文件失败 ${segmentFile}: ${err.message}`));
-        });
-        
-        readStream.on('end', () => {
-          resolve();
-        });
-        
-        readStream.pipe(writeStream, { end: false });
-      });
-      
-      // 每合并 50 个片段输出一次进度
-      if ((i + 1) % 50 === 0 || i === segmentFiles.length - 1) {
-        logger.debug(`已合并 ${i + 1}/${segmentFiles.length} 个片段`);
+      logger.info(`断点续传: 已写入 ${startIndex}/${segments.length} 个片段`);
+    }
+
+    // 所有片段写入同一个文件时边写入边计算校验值（续传时先计算已写入的部分），
+    // 输出文件未经 ffmpeg 处理时直接使用，避免完成后再读取一遍
+    const hasher = splitGroups ? null : createHasher(getHashAlgorithms(options));
+    if (hasher && startIndex > 0 && fs.existsSync(getStreamPath(0))) {
+      await updateFromFile(hasher, getStreamPath(0));
+    }
+
+    // 下载初始化片段（EXT-X-MAP），每个不同的初始化片段只下载一次
+    const initSegments = collectInitSegments(segments);
+    const initData = new Map();
+    if (initSegments.length > 0) {
+      logger.info(`找到 ${initSegments.length} 个初始化片段 (EXT-X-MAP)`);
+
+      if (onProgress) {
+        onProgress(8, "正在下载初始化片段...");
+      }
+
+      for (const initSegment of initSegments) {
+        let data = await fetchSegment(initSegment.uri, retries, initSegment.byterange, getExpectedContent(initSegment));
+        if (initSegment.key) {
+          data = await decryptSegment(data, initSegment, loadKey);
+        }
+        initData.set(initSegment.id, data);
       }
     }
-    
-    // 关闭写入流
-    await new Promise((resolve, reject) => {
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
-      writeStream.end();
+
+    // 按顺序写入输出文件，初始化片段在首次出现或切换时插入
+    const streamFiles = [];
+    let current = null;
+    if (startIndex > 0 && startIndex < segments.length &&
+        getStreamPath(startIndex) === getStreamPath(startIndex - 1)) {
+      const previous = segments[startIndex - 1];
+      current = { path: getStreamPath(startIndex), mapId: previous.map ? previous.map.id : null };
+    }
+
+    const writeSegment = async (index, data) => {
+      const segment = segments[index];
+      const streamPath = getStreamPath(index);
+
+      if (!current || current.path !== streamPath) {
+        current = { path: streamPath, mapId: null };
+      }
+      if (segment.map && segment.map.id !== current.mapId) {
+        await fs.promises.appendFile(streamPath, initData.get(segment.map.id));
+        if (hasher) {
+          hasher.update(initData.get(segment.map.id));
+        }
+        current.mapId = segment.map.id;
+      }
+
+      await fs.promises.appendFile(streamPath, data);
+      if (hasher) {
+        hasher.update(data);
+      }
+      journal.markWritten(index, streamPath);
+    };
+
+    writer = new OrderedWriter(writeSegment, {
+      spillDir: segmentDir,
+      maxBufferedBytes,
+      startIndex,
+      onSpill: (index, filePath) => journal.markCompleted(filePath),
     });
-    
-    // 验证输出文件是否存在
-    if (!fs.existsSync(outputPath)) {
-      throw new Error("合并后的文件不存在");
+
+    // 更新进度：开始下载片段
+    if (onProgress) {
+      onProgress(10, `找到 ${segments.length} 个片段，开始下载...`);
     }
-    
-    // 确保文件扩展名为 .mp4，以便播放器可以正常打开
-    const ext = path.extname(outputPath).toLowerCase();
-    let finalOutputPath = outputPath;
-    
-    if (ext !== '.mp4') {
-      finalOutputPath = outputPath.replace(/\.[^.]+$/, '') + '.mp4';
-      if (finalOutputPath !== outputPath) {
-        fs.renameSync(outputPath, finalOutputPath);
-        logger.debug(`文件已重命名为: ${finalOutputPath}`);
+
+    // 下载所有片段
+    const limit = pLimit(concurrency);
+    let downloadedCount = startIndex;
+    const totalSegments = segments.length;
+    const downloadProgressStart = 10; // 下载片段进度起始百分比
+    const downloadProgressEnd = 80; // 下载片段进度结束百分比
+
+    // 同一文件中相邻的字节范围合并为一次请求（EXT-X-BYTERANGE）
+    const fetchGroups = groupSegmentRanges(segments);
+    if (fetchGroups.length < segments.length) {
+      logger.info(`合并相邻字节范围: ${segments.length} 个片段共 ${fetchGroups.length} 次请求`);
+    }
+
+    // strict：一个片段最终失败后不再开始新的下载，等待进行中的下载完成并记录
+    // lenient：失败的片段写入空数据占位，记录后继续下载
+    let failure = null;
+    const missing = new Set(journal.missing);
+
+    const downloadPromises = fetchGroups.map((group) =>
+      limit(async () => {
+        const indexes = group.indexes.filter((index) => index >= startIndex);
+        if (failure || indexes.length === 0) {
+          return;
+        }
+
+        const pushed = new Set();
+        try {
+          // 上次中断时暂存到磁盘的片段直接使用
+          const spilled = indexes.every((index) => journal.isCompleted(writer.getSpillPath(index)));
+          if (spilled) {
+            for (const index of indexes) {
+              await writer.pushSpilled(index, writer.getSpillPath(index));
+            }
+          } else {
+            const parts = await fetchSegmentGroup(group, segments, fetchSegment, retries);
+            for (const [position, index] of group.indexes.entries()) {
+              if (index < startIndex) {
+                continue;
+              }
+              const data = segments[index].key
+                ? await decryptSegment(parts[position], segments[index], loadKey)
+                : parts[position];
+              await writer.push(index, data);
+              pushed.add(index);
+            }
+          }
+        } catch (error) {
+          if (gapPolicy !== "lenient") {
+            failure = failure || error;
+            return;
+          }
+
+          for (const index of indexes.filter((item) => !pushed.has(item))) {
+            logger.warn(`跳过无法下载的片段 [${index + 1}/${totalSegments}]: ${segments[index].uri} - ${error.message}`);
+            missing.add(index);
+            journal.markMissing(index);
+            await writer.push(index, Buffer.alloc(0));
+          }
+        }
+
+        for (const index of indexes) {
+          downloadedCount++;
+
+          // 更新进度
+          if (onProgress) {
+            const segmentProgress =
+              downloadProgressStart +
+              (downloadedCount / totalSegments) *
+                (downloadProgressEnd - downloadProgressStart);
+            onProgress(
+              segmentProgress,
+              `已下载 ${downloadedCount}/${totalSegments} 个片段`
+            );
+          }
+
+          logger.debug(`下载片段 ${index + 1}/${segments.length}: ${segments[index].uri}`);
+        }
+      })
+    );
+
+    await Promise.all(downloadPromises);
+    if (failure) {
+      throw failure;
+    }
+    if (writer.nextIndex !== segments.length) {
+      throw new Error(`片段写入不完整: ${writer.nextIndex}/${segments.length}`);
+    }
+    logger.info(
+      `所有片段下载完成${writer.spilledCount > 0 ? `，${writer.spilledCount} 个片段曾暂存到磁盘` : ""}`
+    );
+
+    const gapInfo = missing.size > 0 ? summarizeGaps(segments, missing, clip ? clip.rangeStart : 0) : null;
+    if (gapInfo) {
+      if (gapInfo.missingSegments.length === segments.length) {
+        throw new Error("所有片段均下载失败");
       }
+      logger.warn(
+        `缺少 ${gapInfo.missingSegments.length}/${segments.length} 个片段: ${gapInfo.gaps
+          .map((gap) => `${gap.start.toFixed(3)}s - ${gap.end.toFixed(3)}s`)
+          .join(", ")}`
+      );
     }
-    
+
+    for (const index of segments.keys()) {
+      const streamPath = getStreamPath(index);
+      // 整组片段都被跳过时没有内容，不参与拼接
+      if (!streamFiles.includes(streamPath) && fs.existsSync(streamPath) && fs.statSync(streamPath).size > 0) {
+        streamFiles.push(streamPath);
+      }
+    }
+
+    // 根据实际内容判断容器格式，而不是假定为 TS
+    const container = detectContainer(readFileHead(streamFiles[0]));
+    logger.info(`片段容器格式: ${container}`);
+
+    if (container === "fmp4" && initSegments.length === 0) {
+      logger.warn("片段为 fMP4 格式但播放列表中没有初始化片段，合并后的文件可能无法播放");
+    }
+
+    // 更新进度：开始封装
+    if (onProgress) {
+      onProgress(85, "正在封装输出文件...");
+    }
+
+    let output;
+    let mergeMethod = "binary";
+
+    if (splitGroups) {
+      // 使用 ffmpeg 拼接各片段组，重新生成连续的时间戳
+      logger.info(`播放列表包含 ${groups.length} 个不连续片段组，使用 ffmpeg 拼接`);
+      output = await concatDiscontinuityGroups(streamFiles, outputPath, segmentDir, outputFormat);
+      mergeMethod = "ffmpeg-concat";
+    } else {
+      if (groups.length > 1) {
+        logger.warn(`播放列表包含 ${groups.length} 个不连续片段组，未找到 ffmpeg，直接拼接可能导致时间戳不连续`);
+      }
+      output = await remuxToFormat(streamFiles[0], outputPath, outputFormat, container);
+    }
+    const finalOutputPath = output.outputPath;
+
+    if (clip) {
+      if (onProgress) {
+        onProgress(92, "正在裁剪时间范围...");
+      }
+      clip.accurate = await trimToClip(finalOutputPath, clip, output.format);
+    }
+
+    // 更新进度：合并完成
+    if (onProgress) {
+      onProgress(95, "合并完成，正在清理临时文件...");
+    }
+
+    // 清理临时文件
+    cleanupTempFiles(segmentDir);
+
     const stats = fs.statSync(finalOutputPath);
-    logger.info(`合并完成: ${finalOutputPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
-    
-    // 返回最终的文件路径
-    return finalOutputPath;
+
+    // 更新进度：完成
+    if (onProgress) {
+      onProgress(100, "下载完成");
+    }
+
+    return {
+      outputPath: finalOutputPath,
+      size: stats.size,
+      segments: segments.length,
+      encrypted: encryptedCount > 0,
+      container,
+      discontinuityGroups: groups.length,
+      mergeMethod,
+      outputFormat: output.format,
+      remuxMethod: output.method,
+      ...(clip && { clip }),
+      ...(adsRemoved && { adsRemoved }),
+      ...gapInfo,
+      // 重新封装或裁剪后文件内容已改变，完成后再计算
+      ...(hasher && output.method === "none" && !clip && { checksums: hasher.digest() }),
+    };
+  } catch (error) {
+    if (taskId) {
+      // 保留已写入的内容和等待写入的片段，可通过 resume 接口继续下载
+      if (writer) {
+        writer.spillPending();
+      }
+      logger.warn(`下载中断，已保留已下载的片段: ${segmentDir}`);
+    } else {
+      // 清理临时文件
+      cleanupTempFiles(segmentDir);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 按 EXT-X-DISCONTINUITY 将片段分组
+ *
+ * @returns {Array<object>} { timeline, indexes, duration }
+ */
+function splitDiscontinuityGroups(segments) {
+  const groups = [];
+  let current = null;
+
+  segments.forEach((segment, index) => {
+    if (!current || current.timeline !== segment.timeline) {
+      current = { timeline: segment.timeline, indexes: [], duration: 0 };
+      groups.push(current);
+    }
+    current.indexes.push(index);
+    current.duration += segment.duration;
+  });
+
+  return groups;
+}
+
+/**
+ * 过滤广告片段
+ *
+ * 规则：
+ * - cueMarkers：EXT-X-CUE-OUT 与 EXT-X-CUE-IN 之间的片段（默认开启）
+ * - maxGroupDuration：总时长不超过该值（秒）的不连续片段组，最长的片段组始终保留
+ * - hosts：片段全部来自这些域名的不连续片段组（支持 *.example.com）
+ *
+ * @param {Array<object>} segments - 片段列表
+ * @param {object} rules - 过滤规则
+ * @returns {object} { segments, removed }
+ */
+function filterAdSegments(segments, rules = {}) {
+  const { cueMarkers = true, maxGroupDuration = null, hosts = [] } = rules;
+  const reasons = new Map(); // index -> 原因
+
+  // 1. CUE-OUT / CUE-IN 标记的广告区间
+  if (cueMarkers) {
+    let remaining = 0;
+    segments.forEach((segment, index) => {
+      if (segment.cue.in) {
+        remaining = 0;
+      }
+      if (segment.cue.out !== null) {
+        const match = /([\d.]+)/.exec(segment.cue.out);
+        remaining = match ? parseFloat(match[1]) : Infinity;
+      }
+      if (remaining > 0 || (segment.cue.cont !== null && !segment.cue.in)) {
+        reasons.set(index, "cue");
+        remaining -= segment.duration;
+      }
+    });
+  }
+
+  // 2. 按不连续片段组判断时长和域名
+  const groups = splitDiscontinuityGroups(segments);
+  const longest = groups.reduce((a, b) => (b.duration > a.duration ? b : a), groups[0]);
+
+  for (const group of groups) {
+    let reason = null;
+
+    if (hosts.length > 0 && group.indexes.every((index) => matchesHost(segments[index].uri, hosts))) {
+      reason = "host";
+    } else if (maxGroupDuration && group !== longest && group.duration <= maxGroupDuration) {
+      reason = "duration";
+    }
+
+    if (reason) {
+      group.indexes.forEach((index) => {
+        if (!reasons.has(index)) {
+          reasons.set(index, reason);
+        }
+      });
+    }
+  }
+
+  if (reasons.size === 0) {
+    return { segments, removed: { segments: 0, duration: 0, ranges: [] } };
+  }
+
+  if (reasons.size === segments.length) {
+    logger.warn("广告规则匹配了全部片段，忽略广告过滤");
+    return { segments, removed: { segments: 0, duration: 0, ranges: [] } };
+  }
+
+  // 记录被移除的连续区间，便于核对
+  const ranges = [];
+  let position = 0;
+  segments.forEach((segment, index) => {
+    const reason = reasons.get(index);
+    if (reason) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.endIndex === index - 1 && last.reason === reason) {
+        last.endIndex = index;
+        last.end = position + segment.duration;
+      } else {
+        ranges.push({ startIndex: index, endIndex: index, start: position, end: position + segment.duration, reason });
+      }
+    }
+    position += segment.duration;
+  });
+
+  const kept = segments.filter((segment, index) => !reasons.has(index));
+  const removedDuration = segments
+    .filter((segment, index) => reasons.has(index))
+    .reduce((total, segment) => total + segment.duration, 0);
+
+  logger.info(`去除 ${reasons.size} 个广告片段，共 ${removedDuration.toFixed(1)} 秒`);
+
+  return {
+    segments: kept,
+    removed: { segments: reasons.size, duration: removedDuration, ranges },
+  };
+}
+
+/**
+ * 片段地址的域名是否匹配规则
+ */
+function matchesHost(uri, patterns) {
+  let host;
+  try {
+    host = new URL(uri).hostname;
   } catch (error) {
-    throw new Error(`合并失败: ${error.message}`);
+    return false;
+  }
+
+  return patterns.some((pattern) =>
+    pattern.startsWith("*.")
+      ? host === pattern.slice(2) || host.endsWith(pattern.slice(1))
+      : host === pattern
+  );
+}
+
+/**
+ * 使用 ffmpeg 拼接各不连续片段组的文件，生成时间戳连续的输出文件
+ */
+async function concatDiscontinuityGroups(groupFiles, outputPath, segmentDir, format) {
+  const finalOutputPath = outputPath.replace(/\.[^.]+$/, "") + `.${format}`;
+  await concatWithFfmpeg(groupFiles, finalOutputPath, segmentDir, format);
+
+  const stats = fs.statSync(finalOutputPath);
+  logger.info(`合并完成: ${finalOutputPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+  return { outputPath: finalOutputPath, format, method: "ffmpeg" };
+}
+
+/**
+ * 收集播放列表中不同的初始化片段
+ * 同一初始化片段（URI 与字节范围相同）只保留一份
+ */
+function collectInitSegments(segments) {
+  const initSegments = new Map();
+
+  for (const segment of segments) {
+    if (segment.map && !initSegments.has(segment.map.id)) {
+      initSegments.set(segment.map.id, {
+        ...segment.map,
+        // 初始化片段未指定 IV 时，使用首个引用它的片段的序列号
+        sequence: segment.sequence,
+      });
+    }
+  }
+
+  return Array.from(initSegments.values());
+}
+
+/**
+ * 读取媒体播放列表并解析片段（URL 或本地文件）
+ *
+ * @returns {Promise<object>} { manifest, segments }
+ */
+async function loadMediaPlaylist(uri, baseUrl = null) {
+  if (isRemoteUri(uri)) {
+    const manifest = parseManifest(await fetchPlaylist(uri));
+    return { manifest, segments: parseM3U8(manifest, uri) };
+  }
+
+  if (!fs.existsSync(uri)) {
+    throw new Error(`播放列表文件不存在: ${uri}`);
+  }
+
+  const manifest = parseManifest(fs.readFileSync(uri, "utf-8"));
+  return {
+    manifest,
+    segments: parseM3U8FromFile(manifest, path.dirname(uri), baseUrl),
+  };
+}
+
+/**
+ * 下载字幕轨道（WebVTT），合并为一个 .vtt 文件
+ * 每个 WebVTT 片段都带有文件头，合并时只保留第一个
+ */
+async function downloadSubtitleTrack(segments, outputPath, options, fetchSegment) {
+  const { concurrency = 5, retries = 3 } = options;
+
+  const limit = pLimit(concurrency);
+  const texts = await Promise.all(
+    segments.map((segment) =>
+      limit(async () => (await fetchSegment(segment.uri, retries, segment.byterange, "subtitle")).toString("utf-8"))
+    )
+  );
+
+  const parts = texts.map((content, index) => {
+    const text = content.replace(/\r\n/g, "\n");
+    if (index === 0) {
+      return text.trim();
+    }
+    // 去掉 WEBVTT 文件头（到第一个空行为止）
+    const headerEnd = text.indexOf("\n\n");
+    return text.startsWith("WEBVTT") && headerEnd !== -1
+      ? text.slice(headerEnd + 2).trim()
+      : text.trim();
+  });
+
+  fs.writeFileSync(outputPath, parts.filter(Boolean).join("\n\n") + "\n");
+}
+
+/**
+ * 下载完成的提示信息（gapPolicy 为 lenient 且有片段缺失时注明缺失数量，未能精确裁剪时间范围时同样注明）
+ */
+function getCompletionMessage(result) {
+  const missingCount =
+    (result.missingSegments ? result.missingSegments.length : 0) +
+    (result.audio && result.audio.missingSegments ? result.audio.missingSegments.length : 0);
+  const notes = [];
+  if (missingCount > 0) {
+    notes.push(`缺少 ${missingCount} 个片段`);
+  }
+  if (result.clip && !result.clip.accurate) {
+    notes.push("未能精确裁剪时间范围，首尾可能多出部分内容");
   }
+  return notes.length > 0 ? `下载完成，${notes.join("，")}` : "下载完成";
 }
 
 /**
- * 清理临时文件
+ * 删除文件（忽略不存在的文件）
  */
-function cleanupTempFiles(dir) {
+function removeFile(filePath) {
   try {
-    if (fs.existsSync(dir)) {
-      const files = fs.readdirSync(dir);
-      for (const file of files) {
-        fs.unlinkSync(path.join(dir, file));
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    logger.warn(`删除文件失败: ${filePath} - ${error.message}`);
+  }
+}
+
+/**
+ * 下载 m3u8 播放列表文本
+ */
+async function fetchPlaylist(m3u8Url) {
+  const m3u8Retries = 3;
+
+  for (let attempt = 1; attempt <= m3u8Retries; attempt++) {
+    try {
+      if (attempt > 1) {
+        logger.info(`下载 m3u8 文件 (重试 ${attempt}/${m3u8Retries}): ${m3u8Url}`);
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
       }
-      fs.rmdirSync(dir);
+
+      const m3u8Response = await axios.get(m3u8Url, {
+        headers: getBrowserHeaders(m3u8Url),
+        timeout: 30000,
+        maxRedirects: 5,
+        beforeRedirect: refreshCookieHeader,
+        responseType: "text",
+        validateStatus: (status) => status < 500
+      });
+
+      if (m3u8Response.status >= 400) {
+        throw new Error(`HTTP ${m3u8Response.status}: ${m3u8Response.statusText}`);
+      }
+
+      return m3u8Response.data;
+    } catch (error) {
+      const errorMsg = error.message || error.toString();
+
+      if (attempt === m3u8Retries) {
+        logger.error(`下载 m3u8 文件失败 (${m3u8Retries} 次重试): ${errorMsg}`);
+        throw new Error(`下载 m3u8 文件失败: ${errorMsg}`);
+      } else {
+        logger.warn(`下载 m3u8 文件失败，重试 ${attempt}/${m3u8Retries}: ${errorMsg}`);
+      }
+    }
+  }
+}
+
+/**
+ * 是否是主播放列表（包含 EXT-X-STREAM-INF）
+ */
+function isMasterPlaylist(manifest) {
+  return Array.isArray(manifest.playlists) && manifest.playlists.length > 0;
+}
+
+/**
+ * 按画质策略从主播放列表中选择子播放列表
+ *
+ * quality 支持：
+ * - "best" / "worst"：码率最高 / 最低
+ * - { maxHeight, maxBandwidth }：不超过指定分辨率高度和码率的最高画质
+ * - { index }：主播放列表中的第 index 个（从 0 开始）
+ *
+ * @param {object} manifest - 主播放列表解析结果
+ * @param {function} resolve - 将子播放列表 URI 转换为完整地址
+ * @param {string|object} quality - 画质策略
+ * @returns {object} 选中的码率信息
+ */
+function selectVariant(manifest, resolve, quality = "best") {
+  const variants = manifest.playlists.map((playlist, index) => {
+    const attributes = playlist.attributes || {};
+    return {
+      index,
+      uri: resolve(playlist.uri),
+      bandwidth: attributes.BANDWIDTH || 0,
+      width: attributes.RESOLUTION ? attributes.RESOLUTION.width : null,
+      height: attributes.RESOLUTION ? attributes.RESOLUTION.height : null,
+      codecs: attributes.CODECS || null,
+      frameRate: attributes["FRAME-RATE"] || null,
+      audioGroup: attributes.AUDIO || null,
+      subtitleGroup: attributes.SUBTITLES || null,
+    };
+  });
+
+  // 按码率从高到低排序（码率相同时按分辨率）
+  const sorted = [...variants].sort(
+    (a, b) => b.bandwidth - a.bandwidth || (b.height || 0) - (a.height || 0)
+  );
+
+  if (!quality || quality === "best") {
+    return sorted[0];
+  }
+
+  if (quality === "worst") {
+    return sorted[sorted.length - 1];
+  }
+
+  if (typeof quality === "object" && quality.index !== undefined) {
+    const variant = variants[quality.index];
+    if (!variant) {
+      throw new Error(`码率索引超出范围: ${quality.index}（共 ${variants.length} 个）`);
+    }
+    return variant;
+  }
+
+  if (typeof quality === "object") {
+    const { maxHeight = null, maxBandwidth = null } = quality;
+    const matched = sorted.filter(
+      (variant) =>
+        (!maxHeight || !variant.height || variant.height <= maxHeight) &&
+        (!maxBandwidth || variant.bandwidth <= maxBandwidth)
+    );
+
+    if (matched.length > 0) {
+      return matched[0];
+    }
+
+    // 没有满足条件的码率时，退而选择最低画质
+    logger.warn(`没有满足画质条件的码率 ${JSON.stringify(quality)}，使用最低画质`);
+    return sorted[sorted.length - 1];
+  }
+
+  throw new Error(`无效的画质参数: ${JSON.stringify(quality)}`);
+}
+
+/**
+ * 列出码率引用的某一类 EXT-X-MEDIA 轨道
+ */
+function listRenditions(manifest, type, groupId, resolve) {
+  const group = manifest.mediaGroups && manifest.mediaGroups[type] && manifest.mediaGroups[type][groupId];
+  if (!group) {
+    return [];
+  }
+
+  return Object.entries(group).map(([name, rendition]) => ({
+    groupId,
+    name,
+    language: rendition.language || null,
+    default: Boolean(rendition.default),
+    uri: rendition.uri ? resolve(rendition.uri) : null,
+  }));
+}
+
+/**
+ * 选择码率对应的音频轨道
+ * 优先匹配 language，其次是 DEFAULT=YES 的轨道
+ *
+ * @returns {object|null} 音频轨道，音频已包含在视频中时返回 null
+ */
+function selectAudioRendition(manifest, variant, language, resolve) {
+  if (!variant.audioGroup) {
+    return null;
+  }
+
+  const renditions = listRenditions(manifest, "AUDIO", variant.audioGroup, resolve);
+  const rendition =
+    (language && renditions.find((item) => matchesLanguage(item.language, item.name, language))) ||
+    renditions.find((item) => item.default) ||
+    renditions[0];
+
+  // 没有 URI 的轨道表示音频已包含在视频流中
+  return rendition && rendition.uri ? rendition : null;
+}
+
+/**
+ * 选择码率对应的字幕轨道，指定 language 时只保留匹配的轨道
+ */
+function selectSubtitleRenditions(manifest, variant, language, resolve) {
+  if (!variant.subtitleGroup) {
+    return [];
+  }
+
+  return listRenditions(manifest, "SUBTITLES", variant.subtitleGroup, resolve).filter(
+    (item) => item.uri && (!language || matchesLanguage(item.language, item.name, language))
+  );
+}
+
+/**
+ * 码率信息的可读描述
+ */
+function describeVariant(variant) {
+  const parts = [];
+  if (variant.height) {
+    parts.push(`${variant.width}x${variant.height}`);
+  }
+  if (variant.bandwidth) {
+    parts.push(`${Math.round(variant.bandwidth / 1000)} kbps`);
+  }
+  if (variant.codecs) {
+    parts.push(variant.codecs);
+  }
+  return parts.join(", ") || variant.uri;
+}
+
+/**
+ * 解析 m3u8 文本
+ */
+function parseManifest(content) {
+  const parser = new Parser();
+  parser.push(content);
+  parser.end();
+  return parser.manifest;
+}
+
+/**
+ * 解析 m3u8 内容，提取片段信息（从 URL）
+ */
+function parseM3U8(manifest, baseUrl) {
+  return parsePlaylist(manifest, (uri) => resolveUrl(uri, baseUrl));
+}
+
+/**
+ * 解析 m3u8 内容，提取片段信息（从本地文件）
+ */
+function parseM3U8FromFile(manifest, m3u8Dir, baseUrl = null) {
+  return parsePlaylist(manifest, (uri) => resolveFileUri(uri, m3u8Dir, baseUrl));
+}
+
+/**
+ * 解析本地 m3u8 中的 URI
+ */
+function resolveFileUri(uri, m3u8Dir, baseUrl = null) {
+  // 如果是完整的 URL
+  if (isRemoteUri(uri)) {
+    return uri;
+  }
+
+  // 如果提供了 baseUrl，将相对路径转换为完整 URL
+  if (baseUrl) {
+    return resolveUrl(uri, baseUrl);
+  }
+
+  // 本地文件路径：相对路径转换为绝对路径
+  return path.isAbsolute(uri) ? uri : path.join(m3u8Dir, uri);
+}
+
+/**
+ * 是否是 http(s) 地址
+ */
+function isRemoteUri(uri) {
+  return uri.startsWith("http://") || uri.startsWith("https://");
+}
+
+/**
+ * 从媒体播放列表中提取片段
+ * 每个片段包含地址、时长、媒体序列号以及加密信息（EXT-X-KEY）
+ *
+ * @param {object} manifest - m3u8-parser 解析结果
+ * @param {function} resolve - 将播放列表中的 URI 转换为完整地址
+ * @returns {Array<object>} 片段列表
+ */
+function parsePlaylist(manifest, resolve) {
+  const mediaSequence = manifest.mediaSequence || 0;
+
+  return (manifest.segments || [])
+    .filter((segment) => segment.uri)
+    .map((segment, index) => {
+      let map = null;
+      // 初始化片段（EXT-X-MAP），fMP4 片段需要先写入 moov 信息
+      if (segment.map && segment.map.uri) {
+        const { byterange } = segment.map;
+        const uri = resolve(segment.map.uri);
+        map = {
+          id: byterange ? `${uri}@${byterange.offset}-${byterange.length}` : uri,
+          uri,
+          byterange: byterange ? { offset: byterange.offset || 0, length: byterange.length } : null,
+          key: parseKey(segment.map.key, resolve),
+        };
+      }
+
+      return {
+        uri: resolve(segment.uri),
+        // EXT-X-BYTERANGE，未写偏移量时 m3u8-parser 已按上一个片段的结束位置计算
+        byterange: segment.byterange
+          ? { offset: segment.byterange.offset || 0, length: segment.byterange.length }
+          : null,
+        duration: segment.duration || 0,
+        sequence: mediaSequence + index,
+        // 不连续片段组编号（每个 EXT-X-DISCONTINUITY 加 1）
+        timeline: segment.timeline || 0,
+        // 广告标记（EXT-X-CUE-OUT / EXT-X-CUE-OUT-CONT / EXT-X-CUE-IN）
+        cue: {
+          out: segment.cueOut !== undefined ? segment.cueOut : null,
+          cont: segment.cueOutCont !== undefined ? segment.cueOutCont : null,
+          in: segment.cueIn !== undefined,
+        },
+        key: parseKey(segment.key, resolve),
+        map,
+      };
+    });
+}
+
+/**
+ * 解析 EXT-X-KEY 信息
+ */
+function parseKey(key, resolve) {
+  // METHOD=NONE 表示后续片段不再加密
+  if (!key || key.method === "NONE") {
+    return null;
+  }
+
+  return {
+    method: key.method,
+    uri: resolve(key.uri),
+    iv: key.iv ? ivToBuffer(key.iv) : null,
+  };
+}
+
+/**
+ * 将相对地址转换为完整 URL
+ */
+function resolveUrl(uri, baseUrl) {
+  // 如果是 URL
+  if (isRemoteUri(uri)) {
+    return uri;
+  }
+
+  const baseUrlObj = new URL(baseUrl);
+  if (uri.startsWith("/")) {
+    // 绝对路径
+    return `${baseUrlObj.origin}${uri}`;
+  }
+
+  // 相对路径
+  const basePath = baseUrl.substring(0, baseUrl.lastIndexOf("/") + 1);
+  return `${basePath}${uri}`;
+}
+
+/**
+ * 将 m3u8-parser 解析出的 IV（Uint32Array）转换为 16 字节 Buffer
+ */
+function ivToBuffer(iv) {
+  const buffer = Buffer.alloc(16);
+  for (let i = 0; i < 4; i++) {
+    buffer.writeUInt32BE(iv[i] >>> 0, i * 4);
+  }
+  return buffer;
+}
+
+/**
+ * 根据媒体序列号生成 IV
+ * 当 EXT-X-KEY 未指定 IV 时，使用片段的媒体序列号（大端序，补齐 16 字节）
+ */
+function sequenceToIv(sequence) {
+  const buffer = Buffer.alloc(16);
+  buffer.writeBigUInt64BE(BigInt(sequence), 8);
+  return buffer;
+}
+
+/**
+ * 创建密钥加载器
+ * 同一个密钥 URI 只下载一次，密钥轮换时按新的 URI 重新获取
+ *
+ * @param {number} retries - 重试次数
+ * @returns {function} (keyUri) => Promise<Buffer>
+ */
+function createKeyLoader(retries) {
+  const cache = new Map();
+
+  return (keyUri) => {
+    if (!cache.has(keyUri)) {
+      const promise = fetchKey(keyUri, retries);
+      // 下载失败时移除缓存，允许后续片段重新获取
+      promise.catch(() => cache.delete(keyUri));
+      cache.set(keyUri, promise);
+    }
+    return cache.get(keyUri);
+  };
+}
+
+/**
+ * 下载解密密钥（URL 或本地文件）
+ */
+async function fetchKey(keyUri, retries) {
+  let key;
+
+  if (isRemoteUri(keyUri)) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const response = await axios.get(keyUri, {
+          responseType: "arraybuffer",
+          timeout: 30000,
+          headers: getBrowserHeaders(keyUri),
+          maxRedirects: 5,
+          beforeRedirect: refreshCookieHeader,
+          validateStatus: (status) => status < 500
+        });
+
+        if (response.status >= 400) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        key = Buffer.from(response.data);
+        break;
+      } catch (error) {
+        const errorMsg = error.message || error.toString();
+
+        if (attempt === retries) {
+          throw new Error(`下载密钥失败 (${retries} 次重试): ${keyUri} - ${errorMsg}`);
+        }
+
+        logger.warn(`下载密钥失败，重试 ${attempt}/${retries}: ${keyUri} - ${errorMsg}`);
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  } else {
+    if (!fs.existsSync(keyUri)) {
+      throw new Error(`密钥文件不存在: ${keyUri}`);
     }
+    key = fs.readFileSync(keyUri);
+  }
+
+  if (key.length !== 16) {
+    throw new Error(`无效的 AES-128 密钥 (长度 ${key.length} 字节): ${keyUri}`);
+  }
+
+  logger.debug(`获取密钥: ${keyUri}`);
+  return key;
+}
+
+/**
+ * 解密片段数据（AES-128 CBC，PKCS7 填充）
+ *
+ * @param {Buffer} data - 加密的片段数据
+ * @param {object} segment - 片段信息（包含 key 和 sequence）
+ * @param {function} loadKey - 密钥加载器
+ * @returns {Promise<Buffer>} 解密后的数据
+ */
+async function decryptSegment(data, segment, loadKey) {
+  const { key } = segment;
+
+  if (key.method !== "AES-128") {
+    throw new Error(`不支持的加密方式: ${key.method}`);
+  }
+
+  const keyData = await loadKey(key.uri);
+  const iv = key.iv || sequenceToIv(segment.sequence);
+
+  try {
+    const decipher = crypto.createDecipheriv("aes-128-cbc", keyData, iv);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
   } catch (error) {
-    logger.warn("清理临时文件失败:", error.message);
+    throw new Error(`解密片段失败: ${segment.uri} - ${error.message}`);
+  }
+}
+
+/**
+ * 片段的预期内容：加密片段在解密前没有特征字节
+ */
+function getExpectedContent(segment) {
+  return segment.key ? "encrypted" : "media";
+}
+
+/**
+ * 下载单个片段（从 URL）
+ * 指定 byterange 时使用 HTTP Range 请求只下载对应的字节范围；
+ * 下载后按特征字节检查内容，服务器返回网页、JSON 等错误内容时重试，最终抛出 InvalidContentError
+ *
+ * @param {string} expect - 预期内容：media、encrypted（加密片段）或 subtitle
+ * @param {TokenBucket} bandwidthBucket - 任务限速的令牌桶（可选，全局限速始终生效）
+ * @returns {Promise<Buffer>} 片段数据
+ */
+async function downloadSegment(url, retries, byterange = null, expect = "media", bandwidthBucket = null) {
+  const extraHeaders = byterange ? { Range: formatRange(byterange) } : {};
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await axios.get(url, {
+        responseType: "stream",
+        timeout: 60000,
+        headers: getBrowserHeaders(url, extraHeaders),
+        maxRedirects: 5,
+        beforeRedirect: refreshCookieHeader,
+        validateStatus: (status) => status < 500
+      });
+
+      if (response.status >= 400) {
+        response.data.destroy();
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      // 按任务和全局限速读取
+      let data = await readStream(response.data, bandwidthBucket);
+      if (data.length === 0) {
+        throw new Error('下载的片段数据为空');
+      }
+
+      if (byterange) {
+        // 服务器忽略 Range 返回完整文件时，从中截取对应的字节范围
+        if (response.status !== 206) {
+          logger.debug(`服务器不支持 Range 请求，截取字节范围: ${url}`);
+          data = data.subarray(byterange.offset, byterange.offset + byterange.length);
+        }
+        if (data.length < byterange.length) {
+          throw new Error(`字节范围数据不完整: 期望 ${byterange.length} 字节，实际 ${data.length} 字节`);
+        }
+      }
+
+      assertContent(data, { expect, label: "片段" });
+      return data;
+    } catch (error) {
+      const errorMsg = error.message || error.toString();
+      
+      if (attempt === retries) {
+        const message = `下载片段失败 (${retries} 次重试): ${url} - ${errorMsg}`;
+        throw error instanceof InvalidContentError ? new InvalidContentError(message, error) : new Error(message);
+      }
+      
+      logger.warn(`下载片段失败，重试 ${attempt}/${retries}: ${url} - ${errorMsg}`);
+      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+}
+
+/**
+ * 读取单个片段（从本地文件或 URL）
+ *
+ * @returns {Promise<Buffer>} 片段数据
+ */
+async function downloadSegmentFromFile(segmentPath, retries, byterange = null, expect = "media", bandwidthBucket = null) {
+  // 如果是 URL，使用 HTTP 下载
+  if (isRemoteUri(segmentPath)) {
+    return await downloadSegment(segmentPath, retries, byterange, expect, bandwidthBucket);
+  }
+
+  // 如果是本地文件，直接读取
+  if (!fs.existsSync(segmentPath)) {
+    throw new Error(`片段文件不存在: ${segmentPath}`);
+  }
+
+  if (byterange) {
+    // 只读取对应的字节范围
+    const fd = fs.openSync(segmentPath, "r");
+    try {
+      const buffer = Buffer.alloc(byterange.length);
+      const bytesRead = fs.readSync(fd, buffer, 0, byterange.length, byterange.offset);
+      if (bytesRead < byterange.length) {
+        throw new Error(`字节范围超出文件大小: ${segmentPath} (${formatRange(byterange)})`);
+      }
+      logger.debug(`读取本地片段: ${segmentPath} [${formatRange(byterange)}]`);
+      return buffer;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  logger.debug(`读取本地片段: ${segmentPath}`);
+  return fs.readFileSync(segmentPath);
+}
+
+/**
+ * 将字节范围格式化为 Range 请求头
+ */
+function formatRange(byterange) {
+  return `bytes=${byterange.offset}-${byterange.offset + byterange.length - 1}`;
+}
+
+/**
+ * 将同一文件中相邻的字节范围片段合并为一次请求
+ * 没有字节范围的片段单独请求
+ *
+ * @param {Array<object>} segments - 片段列表
+ * @returns {Array<object>} 请求列表 { uri, byterange, indexes }
+ */
+function groupSegmentRanges(segments) {
+  const groups = [];
+  let current = null;
+
+  segments.forEach((segment, index) => {
+    const { byterange } = segment;
+
+    if (
+      byterange &&
+      current &&
+      current.byterange &&
+      current.uri === segment.uri &&
+      current.byterange.offset + current.byterange.length === byterange.offset &&
+      current.byterange.length + byterange.length <= MAX_COALESCED_RANGE_BYTES
+    ) {
+      current.byterange.length += byterange.length;
+      current.indexes.push(index);
+      return;
+    }
+
+    current = {
+      uri: segment.uri,
+      byterange: byterange ? { ...byterange } : null,
+      indexes: [index],
+    };
+    groups.push(current);
+  });
+
+  return groups;
+}
+
+/**
+ * 下载一组片段：合并的字节范围下载后按各片段的范围拆分
+ *
+ * @returns {Promise<Array<Buffer>>} 与 group.indexes 顺序对应的片段数据
+ */
+async function fetchSegmentGroup(group, segments, fetchSegment, retries) {
+  const data = await fetchSegment(group.uri, retries, group.byterange, getExpectedContent(segments[group.indexes[0]]));
+
+  if (group.indexes.length === 1) {
+    return [data];
   }
+
+  return group.indexes.map((index) => {
+    const { byterange } = segments[index];
+    const start = byterange.offset - group.byterange.offset;
+    return data.subarray(start, start + byterange.length);
+  });
 }
@@ -2,6 +2,7 @@ import puppeteer from 'puppeteer';
 import { logger } from '../utils/logger.js';
 import { isVideoUrl, getVideoSize, formatFileSize } from '../utils/videoUtils.js';
 import { getPuppeteerLaunchOptions } from '../utils/puppeteerConfig.js';
+import { applyCookies } from '../utils/cookieStore.js';
 
 /**
  * 从 Instagram 页面提取视频 URL
@@ -86,6 +87,9 @@ export async function getInstagramVideo(url, options = {}) {
       }
     });
 
+    // 注入已导入的 Cookie（登录状态）
+    await applyCookies(page, url);
+
     // 导航到页面
     await page.goto(url, {
       waitUntil: 'networkidle2',
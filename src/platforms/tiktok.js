@@ -2,6 +2,7 @@ import puppeteer from 'puppeteer';
 import { logger } from '../utils/logger.js';
 import { isVideoUrl, getVideoSize, formatFileSize } from '../utils/videoUtils.js';
 import { getPuppeteerLaunchOptions } from '../utils/puppeteerConfig.js';
+import { applyCookies } from '../utils/cookieStore.js';
 
 /**
  * 从 TikTok 页面提取视频 URL
@@ -88,6 +89,9 @@ export async function getTikTokVideo(url, options = {}) {
       }
     });
 
+    // 注入已导入的 Cookie（登录状态）
+    await applyCookies(page, url);
+
     // 导航到页面
     await page.goto(url, {
       waitUntil: 'networkidle2',
@@ -1,15 +1,28 @@
 import express from 'express';
-import { detectVideoUrl } from '../core/detector.js';
+import { detectVideoUrl, getPlatform } from '../core/detector.js';
 import { downloadVideo } from '../core/downloader.js';
 import { downloadHLSFromFile } from '../core/hls-handler.js';
 import { taskManager } from '../utils/taskManager.js';
 import { continuousDetector } from '../utils/continuousDetector.js';
+import { OUTPUT_FORMATS } from '../utils/ffmpeg.js';
+import { InvalidContentError } from '../utils/contentSniffer.js';
+import { ChecksumMismatchError, parseExpectedHash } from '../utils/checksum.js';
+import { MIN_BYTES_PER_SECOND } from '../utils/bandwidthLimiter.js';
+import { validateActions } from '../utils/pageActions.js';
+import { parseCookies, importCookies, listCookieDomains, removeCookies } from '../utils/cookieStore.js';
+import { saveResumeInfo, loadResumeInfo, removeResumeInfo, isValidTaskId } from '../utils/resumeStore.js';
+import { validateLiveOptions } from '../utils/streamUtils.js';
 import { logger } from '../utils/logger.js';
 import path from 'path';
 import fs from 'fs';
 
 export const videoRouter = express.Router();
 
+/**
+ * 片段下载失败时的处理策略
+ */
+const GAP_POLICIES = ['strict', 'lenient'];
+
 /**
  * POST /api/video/detect
  * 检测页面中的视频 URL
@@ -18,12 +31,15 @@ export const videoRouter = express.Router();
  * - url: 要检测的页面 URL（必需）
  * - buttonSelector: 需要点击的按钮选择器（可选），点击后会触发新视频下载
  * - clickWaitTime: 点击按钮后等待时间，毫秒（可选，默认3000）
+ * - actions: 页面加载后按顺序执行的交互步骤（可选，不能与 buttonSelector 同时使用，Instagram、TikTok 链接不支持），每个步骤的结果在响应的 actions 中
+ *   [{ type: "click" | "type" | "press" | "scroll" | "hover" | "waitForSelector" | "waitForResponse" | "wait" | "select", ... }]
  * - headless: 是否使用无头模式（可选，默认true）
  * - timeout: 超时时间，毫秒（可选，默认30000）
+ * - probe: 是否探测视频流的类型、码率、时长、加密和估算大小（可选，默认true）
  */
 videoRouter.post('/detect', async (req, res, next) => {
   try {
-    const { url, buttonSelector, clickWaitTime, headless, timeout } = req.body;
+    const { url, buttonSelector, clickWaitTime, actions, headless, timeout, probe } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -32,12 +48,43 @@ videoRouter.post('/detect', async (req, res, next) => {
       });
     }
 
-    logger.info(`检测视频 URL: ${url}${buttonSelector ? `，按钮选择器: ${buttonSelector}` : ''}${timeout ? `，超时时间: ${timeout}ms` : ''}`);
+    if (actions !== undefined && actions !== null) {
+      let actionsError = null;
+      if (buttonSelector) {
+        actionsError = 'actions 和 buttonSelector 不能同时使用';
+      } else if (getPlatform(url)) {
+        actionsError = `${getPlatform(url)} 链接使用专用检测，不支持 actions`;
+      } else {
+        actionsError = validateActions(actions);
+      }
+      if (actionsError) {
+        return res.status(400).json({
+          success: false,
+          error: { message: actionsError }
+        });
+      }
+    }
+
+    logger.info(`检测视频 URL: ${url}${buttonSelector ? `，按钮选择器: ${buttonSelector}` : ''}${actions ? `，交互步骤: ${actions.length} 个` : ''}${timeout ? `，超时时间: ${timeout}ms` : ''}`);
     
     const options = {};
+    const actionResults = [];
+    if (actions) {
+      options.actions = actions;
+      options.onAction = (result) => actionResults.push(result);
+    }
     if (buttonSelector) options.buttonSelector = buttonSelector;
     if (clickWaitTime) options.clickWaitTime = clickWaitTime;
     if (headless !== undefined) options.headless = headless;
+    if (probe !== undefined) {
+      if (typeof probe !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'probe 必须是布尔值' }
+        });
+      }
+      options.probe = probe;
+    }
     // timeout 支持配置，如果没有提供则使用默认值（detector.js 中的默认值 30000）
     if (timeout !== undefined && timeout !== null) {
       options.timeout = parseInt(timeout, 10);
@@ -56,7 +103,8 @@ videoRouter.post('/detect', async (req, res, next) => {
       data: {
         url,
         videoUrls,
-        count: videoUrls.length
+        count: videoUrls.length,
+        ...(actions ? { actions: actionResults } : {})
       }
     });
   } catch (error) {
@@ -67,6 +115,26 @@ videoRouter.post('/detect', async (req, res, next) => {
 /**
  * POST /api/video/download
  * 下载视频（异步，返回任务ID）
+ *
+ * 请求体参数:
+ * - url: 视频 URL（必需）
+ * - outputPath: 输出文件路径（可选）
+ * - options.quality: HLS 主播放列表的画质选择（可选，默认 best）
+ *   "best" | "worst" | { maxHeight } | { maxBandwidth } | { index }
+ * - options.language: 独立音频、字幕轨道的语言偏好，如 "en"（可选）
+ * - options.maxHeight / options.maxBandwidth: DASH 视频流的最大高度、最大码率 bps（可选）
+ * - options.preferCodecs: DASH 视频编码偏好，按顺序选择，如 ["avc1", "hvc1"] 或 "h264"（可选）
+ * - options.subtitles: 是否下载 WebVTT 字幕轨道（可选，默认 false）
+ * - options.live: 直播录制，默认根据播放列表（HLS 无 EXT-X-ENDLIST、DASH 动态 MPD）自动判断，false 时只下载当前窗口；直播录制不支持 start / end、stripAds 和 gapPolicy "strict"（可选）
+ * - options.maxDuration: 直播最长录制时长，秒（可选）
+ * - options.stripAds: 去除 HLS 广告片段，true 或规则对象（可选）
+ *   { cueMarkers, maxGroupDuration, hosts }
+ * - options.outputFormat: HLS / DASH 输出容器格式 "mp4" | "mkv" | "ts"（可选，默认 mp4，需要 ffmpeg）
+ * - options.gapPolicy: 片段下载失败时 "strict" 任务失败 | "lenient" 跳过并在结果中列出（可选，默认 strict）
+ * - options.md5: 除 SHA-256 外同时计算 MD5（可选，默认 false）
+ * - options.expectedHash: 期望的校验值 "sha256:<hex>" | "md5:<hex>"，不一致时任务失败（可选）
+ * - options.maxBytesPerSecond: 任务限速，字节/秒（可选，至少 16384，可通过 PATCH /tasks/:taskId 修改）
+ * - options.start / options.end: 只下载该时间范围，秒（可选，HLS / DASH 点播）
  */
 videoRouter.post('/download', async (req, res, next) => {
   try {
@@ -79,6 +147,14 @@ videoRouter.post('/download', async (req, res, next) => {
       });
     }
 
+    const optionsError = validateDownloadOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: { message: optionsError }
+      });
+    }
+
     // 生成任务ID
     const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -90,18 +166,7 @@ videoRouter.post('/download', async (req, res, next) => {
     });
 
     // 异步执行下载任务
-    downloadVideo(url, outputPath, {
-      ...options,
-      onProgress: (progress, message) => {
-        taskManager.updateProgress(taskId, progress, message);
-      }
-    })
-      .then(result => {
-        taskManager.completeTask(taskId, result);
-      })
-      .catch(error => {
-        taskManager.failTask(taskId, error.message);
-      });
+    runDownloadTask(taskId, { type: 'url', url, outputPath, options });
 
     // 立即返回任务ID
     res.json({
@@ -116,6 +181,179 @@ videoRouter.post('/download', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/video/download/:taskId/stop
+ * 停止直播录制任务，已录制的内容会被合并保存
+ */
+videoRouter.post('/download/:taskId/stop', async (req, res, next) => {
+  try {
+    const { taskId } = req.params;
+    const task = taskManager.getTask(taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: { message: '任务不存在' }
+      });
+    }
+
+    if (task.status === 'completed' || task.status === 'failed') {
+      return res.status(400).json({
+        success: false,
+        error: { message: '任务已结束' }
+      });
+    }
+
+    if (!task.live) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '只有直播录制任务可以停止' }
+      });
+    }
+
+    taskManager.stopTask(taskId);
+
+    res.json({
+      success: true,
+      data: {
+        taskId,
+        message: '已请求停止录制，正在合并已录制的内容'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/video/tasks/:taskId
+ * 修改正在进行的任务的设置
+ *
+ * 请求体参数:
+ * - maxBytesPerSecond: 任务限速，字节/秒，null 表示取消限速
+ */
+videoRouter.patch('/tasks/:taskId', async (req, res, next) => {
+  try {
+    const { taskId } = req.params;
+    const { maxBytesPerSecond } = req.body;
+    const task = taskManager.getTask(taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: { message: '任务不存在' }
+      });
+    }
+
+    if (maxBytesPerSecond === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '缺少 maxBytesPerSecond 参数' }
+      });
+    }
+
+    const bandwidthError = validateBandwidth(maxBytesPerSecond);
+    if (bandwidthError) {
+      return res.status(400).json({
+        success: false,
+        error: { message: bandwidthError }
+      });
+    }
+
+    if (!taskManager.setBandwidthLimit(taskId, maxBytesPerSecond)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '任务已结束' }
+      });
+    }
+
+    // 同时更新保存的任务信息，恢复任务时使用新的限速
+    const info = loadResumeInfo(taskId);
+    if (info) {
+      try {
+        saveResumeInfo(taskId, { ...info, options: { ...info.options, maxBytesPerSecond } });
+      } catch (error) {
+        logger.warn(`保存任务信息失败: ${error.message}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        taskId,
+        maxBytesPerSecond: task.maxBytesPerSecond
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/video/resume/:taskId
+ * 继续失败或中断（包括服务重启）的下载任务，已下载并校验通过的片段会被跳过
+ */
+videoRouter.post('/resume/:taskId', async (req, res, next) => {
+  try {
+    const { taskId } = req.params;
+
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '无效的任务ID' }
+      });
+    }
+
+    const task = taskManager.getTask(taskId);
+    if (task && (task.status === 'pending' || task.status === 'downloading')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '任务正在进行中' }
+      });
+    }
+
+    if (task && task.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: { message: '任务已完成' }
+      });
+    }
+
+    const info = loadResumeInfo(taskId);
+    if (!info) {
+      return res.status(404).json({
+        success: false,
+        error: { message: '没有可恢复的任务信息' }
+      });
+    }
+
+    if (info.live) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '直播录制任务不支持断点续传，请重新创建任务' }
+      });
+    }
+
+    logger.info(`恢复下载任务: ${taskId}`);
+
+    // 重新创建任务（服务重启后任务管理器中没有该任务）
+    const { type, savedAt, ...taskInfo } = info;
+    taskManager.createTask(taskId, { ...taskInfo, resumed: true });
+
+    runDownloadTask(taskId, info);
+
+    res.json({
+      success: true,
+      data: {
+        taskId,
+        message: '下载任务已恢复'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/video/status/:taskId
  * 查询下载任务状态
@@ -383,6 +621,14 @@ videoRouter.post('/download/m3u8', async (req, res, next) => {
       });
     }
 
+    const optionsError = validateDownloadOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: { message: optionsError }
+      });
+    }
+
     // 检查文件是否存在
     const resolvedPath = path.isAbsolute(m3u8FilePath) 
       ? m3u8FilePath 
@@ -419,18 +665,12 @@ videoRouter.post('/download/m3u8', async (req, res, next) => {
     logger.info(`开始处理 m3u8 文件: ${resolvedPath}`);
 
     // 异步执行下载任务
-    downloadHLSFromFile(resolvedPath, finalOutputPath, {
-      ...options,
-      onProgress: (progress, message) => {
-        taskManager.updateProgress(taskId, progress, message);
-      }
-    })
-      .then(result => {
-        taskManager.completeTask(taskId, result);
-      })
-      .catch(error => {
-        taskManager.failTask(taskId, error.message);
-      });
+    runDownloadTask(taskId, {
+      type: 'm3u8File',
+      m3u8FilePath: resolvedPath,
+      outputPath: finalOutputPath,
+      options
+    });
 
     // 立即返回任务ID
     res.json({
@@ -446,3 +686,303 @@ videoRouter.post('/download/m3u8', async (req, res, next) => {
     next(error);
   }
 });
+
+/**
+ * POST /api/video/cookies
+ * 导入 Cookie，用于检测和下载需要登录的内容
+ * 按域名保存，同一域名的 Cookie 会被新导入的替换
+ *
+ * 请求体:
+ * - Content-Type: text/plain 时为 cookies.txt（Netscape 格式）或 JSON 导出文件的内容
+ * - Content-Type: application/json 时为 Cookie 数组、包含 cookies 数组的对象，
+ *   或 { content: "<文件内容>" }
+ */
+videoRouter.post('/cookies', express.text({ type: 'text/plain', limit: '5mb' }), async (req, res, next) => {
+  try {
+    const body = req.body;
+    const content = body && typeof body === 'object' && !Array.isArray(body) && typeof body.content === 'string'
+      ? body.content
+      : body;
+
+    if (!content || (typeof content === 'object' && Object.keys(content).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '缺少 Cookie 内容' }
+      });
+    }
+
+    let cookies;
+    try {
+      cookies = parseCookies(content);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    const domains = importCookies(cookies);
+
+    res.json({
+      success: true,
+      data: {
+        imported: domains.reduce((sum, item) => sum + item.count, 0),
+        domains
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/video/cookies
+ * 列出已保存 Cookie 的域名（不返回 Cookie 的值）
+ */
+videoRouter.get('/cookies', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        domains: listCookieDomains()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/video/cookies/:domain
+ * 删除某个域名的 Cookie
+ */
+videoRouter.delete('/cookies/:domain', async (req, res, next) => {
+  try {
+    const removed = removeCookies(req.params.domain);
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: '该域名没有 Cookie' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/video/cookies
+ * 删除所有 Cookie
+ */
+videoRouter.delete('/cookies', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { removed: removeCookies() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * 异步执行下载任务
+ * 任务信息会持久化到磁盘，失败或服务重启后可以通过 resume 接口继续下载
+ *
+ * @param {string} taskId - 任务ID，同时作为片段目录的标识
+ * @param {object} info - 任务信息
+ *   { type: 'url', url, outputPath, options } 或
+ *   { type: 'm3u8File', m3u8FilePath, outputPath, options }
+ */
+function runDownloadTask(taskId, info) {
+  const { type, outputPath, options = {} } = info;
+
+  try {
+    saveResumeInfo(taskId, info);
+  } catch (error) {
+    logger.warn(`保存任务信息失败，任务将无法恢复: ${error.message}`);
+  }
+
+  const downloadOptions = {
+    ...options,
+    taskId,
+    maxDuration: options.maxDuration !== undefined ? Number(options.maxDuration) : null,
+    signal: taskManager.getAbortSignal(taskId),
+    bandwidthBucket: taskManager.getBandwidthBucket(taskId, options.maxBytesPerSecond),
+    onProgress: (progress, message, details) => {
+      taskManager.updateProgress(taskId, progress, message, details);
+    }
+  };
+
+  const download = type === 'm3u8File'
+    ? downloadHLSFromFile(info.m3u8FilePath, outputPath, downloadOptions)
+    : downloadVideo(info.url, outputPath, downloadOptions);
+
+  download
+    .then(result => {
+      removeResumeInfo(taskId);
+      taskManager.completeTask(taskId, result);
+    })
+    .catch(error => {
+      // 保留任务信息，便于之后恢复
+      const typed = error instanceof InvalidContentError || error instanceof ChecksumMismatchError;
+      taskManager.failTask(taskId, error.message, typed ? error.code : null);
+    });
+}
+
+/**
+ * 校验下载选项（/download 和 /download/m3u8 共用）
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateDownloadOptions(options) {
+  // 请求体中的 options 可能是 null、数组或其他类型
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return 'options 必须是对象';
+  }
+
+  const error = validateQuality(options.quality) ||
+    validateRepresentationOptions(options);
+  if (error) {
+    return error;
+  }
+
+  if (options.stripAds !== undefined && typeof options.stripAds !== 'boolean' &&
+      (typeof options.stripAds !== 'object' || Array.isArray(options.stripAds) ||
+       (options.stripAds.hosts !== undefined && !Array.isArray(options.stripAds.hosts)))) {
+    return 'stripAds 必须是布尔值或规则对象，hosts 必须是数组';
+  }
+
+  if (options.maxDuration !== undefined && !(Number(options.maxDuration) > 0)) {
+    return 'maxDuration 必须是大于 0 的数字';
+  }
+
+  if (options.outputFormat !== undefined && !OUTPUT_FORMATS.includes(options.outputFormat)) {
+    return `outputFormat 必须是 ${OUTPUT_FORMATS.join('、')} 之一`;
+  }
+
+  if (options.gapPolicy !== undefined && !GAP_POLICIES.includes(options.gapPolicy)) {
+    return `gapPolicy 必须是 ${GAP_POLICIES.join('、')} 之一`;
+  }
+
+  if (options.live !== undefined && options.live !== null && typeof options.live !== 'boolean') {
+    return 'live 必须是布尔值';
+  }
+
+  // 自动判断为直播的任务在开始录制时检查，这里只检查明确指定的直播录制
+  if (options.live === true) {
+    const liveError = validateLiveOptions(options);
+    if (liveError) {
+      return liveError;
+    }
+  }
+
+  return validateChecksumOptions(options) ||
+    validateBandwidth(options.maxBytesPerSecond) ||
+    validateTimeRange(options.start, options.end);
+}
+
+/**
+ * 校验画质参数
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateQuality(quality) {
+  if (quality === undefined || quality === null || quality === 'best' || quality === 'worst') {
+    return null;
+  }
+
+  if (typeof quality !== 'object' || Array.isArray(quality)) {
+    return 'quality 必须是 "best"、"worst" 或包含 maxHeight / maxBandwidth / index 的对象';
+  }
+
+  for (const key of ['maxHeight', 'maxBandwidth', 'index']) {
+    if (quality[key] !== undefined && (!Number.isInteger(quality[key]) || quality[key] < 0)) {
+      return `quality.${key} 必须是大于等于 0 的整数`;
+    }
+  }
+
+  if (quality.maxHeight === undefined && quality.maxBandwidth === undefined && quality.index === undefined) {
+    return 'quality 对象至少需要包含 maxHeight、maxBandwidth 或 index 之一';
+  }
+
+  return null;
+}
+
+/**
+ * 校验 md5、expectedHash 参数
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateChecksumOptions(options) {
+  if (options.md5 !== undefined && typeof options.md5 !== 'boolean') {
+    return 'md5 必须是布尔值';
+  }
+
+  if (options.expectedHash !== undefined && !parseExpectedHash(options.expectedHash)) {
+    return 'expectedHash 必须是 "sha256:<64 位十六进制>" 或 "md5:<32 位十六进制>"';
+  }
+
+  return null;
+}
+
+/**
+ * 校验限速参数
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateBandwidth(maxBytesPerSecond) {
+  if (maxBytesPerSecond === undefined || maxBytesPerSecond === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(maxBytesPerSecond) || maxBytesPerSecond < MIN_BYTES_PER_SECOND) {
+    return `maxBytesPerSecond 必须是大于等于 ${MIN_BYTES_PER_SECOND} 的整数（字节/秒），null 表示不限速`;
+  }
+
+  return null;
+}
+
+/**
+ * 校验时间范围参数
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateTimeRange(start, end) {
+  for (const [name, value] of [['start', start], ['end', end]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value >= 0))) {
+      return `${name} 必须是大于等于 0 的数字（秒）`;
+    }
+  }
+
+  if (typeof start === 'number' && typeof end === 'number' && end <= start) {
+    return 'end 必须大于 start';
+  }
+
+  return null;
+}
+
+/**
+ * 校验 DASH 表示选择参数
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateRepresentationOptions(options) {
+  for (const key of ['maxHeight', 'maxBandwidth']) {
+    if (options[key] !== undefined && options[key] !== null && (!Number.isInteger(options[key]) || options[key] <= 0)) {
+      return `${key} 必须是大于 0 的整数`;
+    }
+  }
+
+  const { preferCodecs } = options;
+  if (preferCodecs !== undefined && preferCodecs !== null && typeof preferCodecs !== 'string' &&
+      (!Array.isArray(preferCodecs) || preferCodecs.some(codec => typeof codec !== 'string' || !codec))) {
+    return 'preferCodecs 必须是编码名称或编码名称数组，如 ["avc1", "hvc1"]';
+  }
+
+  if (options.language !== undefined && options.language !== null && typeof options.language !== 'string') {
+    return 'language 必须是字符串';
+  }
+
+  return null;
+}
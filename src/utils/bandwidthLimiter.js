@@ -0,0 +1,190 @@
+import { Transform } from 'stream';
+import { logger } from './logger.js';
+
+/**
+ * 下载带宽限制
+ * 使用令牌桶限制接收数据的速度：全局限制（MAX_BANDWIDTH 环境变量）作用于所有任务，
+ * 任务限制（maxBytesPerSecond）作用于单个任务的所有连接和片段请求，可以在运行时修改
+ */
+
+/**
+ * 最低限速（字节/秒）
+ * 限速过低时单个数据块要等待很久，连接可能因空闲超时被断开
+ */
+export const MIN_BYTES_PER_SECOND = 16 * 1024;
+
+/**
+ * 令牌桶每次等待的最长时间（毫秒），等待期间修改限速可以尽快生效
+ */
+const MAX_WAIT_INTERVAL = 250;
+
+/**
+ * 令牌桶
+ * 每秒补充 rate 个令牌（字节），最多积累 1 秒的令牌；
+ * 数据块大于剩余令牌时先记为欠账，等补足后再继续接收
+ */
+export class TokenBucket {
+  /**
+   * @param {number|null} rate - 每秒字节数，null 表示不限速
+   */
+  constructor(rate = null) {
+    this.rate = normalizeRate(rate);
+    this.tokens = this.rate || 0;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve(); // 按请求顺序依次等待，避免多个连接同时抢占令牌
+  }
+
+  /**
+   * 修改限速，正在等待的请求按新的速度继续
+   * @param {number|null} rate - 每秒字节数，null 表示不限速
+   */
+  setRate(rate) {
+    this.refill();
+    this.rate = normalizeRate(rate);
+    // 不保留欠账和超出新容量的令牌
+    this.tokens = this.rate ? Math.min(Math.max(this.tokens, 0), this.rate) : 0;
+  }
+
+  /**
+   * 消耗令牌，令牌不足时等待
+   * @param {number} bytes - 收到的字节数
+   * @returns {Promise<void>}
+   */
+  consume(bytes) {
+    if (!this.rate) {
+      return Promise.resolve();
+    }
+
+    const wait = this.queue.then(() => this.take(bytes));
+    this.queue = wait;
+    return wait;
+  }
+
+  async take(bytes) {
+    if (!this.rate) {
+      return;
+    }
+
+    this.refill();
+    this.tokens -= bytes;
+
+    while (this.rate && this.tokens < 0) {
+      const delay = Math.min(MAX_WAIT_INTERVAL, Math.ceil((-this.tokens / this.rate) * 1000));
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      this.refill();
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.rate) {
+      this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    }
+    this.updatedAt = now;
+  }
+}
+
+let globalBucket = null;
+
+/**
+ * 获取全局令牌桶（首次使用时读取 MAX_BANDWIDTH，此时 .env 已加载）
+ * @returns {TokenBucket} 全局令牌桶
+ */
+export function getGlobalBucket() {
+  if (!globalBucket) {
+    const rate = parseBandwidth(process.env.MAX_BANDWIDTH);
+    if (process.env.MAX_BANDWIDTH && rate === null) {
+      logger.warn(`MAX_BANDWIDTH 格式无效，不限制全局带宽: ${process.env.MAX_BANDWIDTH}`);
+    } else if (rate) {
+      logger.info(`全局带宽限制: ${formatRate(normalizeRate(rate))}`);
+    }
+    globalBucket = new TokenBucket(rate);
+  }
+  return globalBucket;
+}
+
+/**
+ * 解析带宽设置：字节/秒，支持 K、M、G 后缀（1024 进制），如 "5M"、"512KB"
+ * @param {string|number} value - 带宽设置
+ * @returns {number|null} 每秒字节数，未设置或格式无效时返回 null
+ */
+export function parseBandwidth(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg])?(?:i?b)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const units = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  const rate = Math.floor(parseFloat(match[1]) * (match[2] ? units[match[2].toLowerCase()] : 1));
+  return rate > 0 ? rate : null;
+}
+
+/**
+ * 等待全局和任务的令牌
+ * @param {TokenBucket|null} bucket - 任务的令牌桶，没有任务限速时为 null
+ * @param {number} bytes - 收到的字节数
+ * @returns {Promise<void>}
+ */
+export async function throttle(bucket, bytes) {
+  if (bucket) {
+    await bucket.consume(bytes);
+  }
+  await getGlobalBucket().consume(bytes);
+}
+
+/**
+ * 按限速读取整个响应流
+ * 每个数据块等待令牌后才读取下一块，TCP 流量控制会让服务器相应地放慢发送
+ *
+ * @param {stream.Readable} stream - 响应流
+ * @param {TokenBucket|null} bucket - 任务的令牌桶
+ * @returns {Promise<Buffer>} 数据
+ */
+export async function readStream(stream, bucket = null) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    await throttle(bucket, chunk.length);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 创建限速的转换流，用于管道写入文件
+ * @param {TokenBucket|null} bucket - 任务的令牌桶
+ * @returns {Transform} 转换流
+ */
+export function createThrottleStream(bucket = null) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      throttle(bucket, chunk.length).then(() => callback(null, chunk), callback);
+    }
+  });
+}
+
+/**
+ * 格式化限速，用于日志
+ */
+export function formatRate(rate) {
+  if (!rate) {
+    return '不限速';
+  }
+  if (rate >= 1024 * 1024) {
+    return `${(rate / 1024 / 1024).toFixed(2)} MB/s`;
+  }
+  return `${(rate / 1024).toFixed(2)} KB/s`;
+}
+
+/**
+ * 限速不低于 MIN_BYTES_PER_SECOND，无效值视为不限速
+ */
+function normalizeRate(rate) {
+  if (!(rate > 0)) {
+    return null;
+  }
+  return Math.max(MIN_BYTES_PER_SECOND, Math.floor(rate));
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from './logger.js';
+
+/**
+ * 下载文件的校验值
+ * 默认计算 SHA-256，options.md5 为 true 或 expectedHash 为 MD5 时同时计算 MD5；
+ * 指定 expectedHash 时与计算结果比较，不一致则任务失败
+ *
+ * 输出文件就是按顺序写入的数据时边写入边计算（单连接直接下载、按字节拼接的 HLS / DASH）；
+ * 由 ffmpeg 生成的文件（重新封装、裁剪、音视频合成）、分段乱序写入的直接下载和直播录制在完成后读取文件计算
+ */
+
+/**
+ * 各算法的十六进制摘要长度
+ */
+const HASH_LENGTHS = {
+  sha256: 64,
+  md5: 32
+};
+
+/**
+ * 日志和错误信息中的算法名称
+ */
+const HASH_NAMES = {
+  sha256: 'SHA-256',
+  md5: 'MD5'
+};
+
+/**
+ * 下载文件的校验值与 expectedHash 不一致
+ */
+export class ChecksumMismatchError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {object} info - { algorithm, expected, actual, corruptPath }
+   */
+  constructor(message, { algorithm, expected, actual, corruptPath = null }) {
+    super(message);
+    this.name = 'ChecksumMismatchError';
+    this.code = 'CHECKSUM_MISMATCH';
+    this.algorithm = algorithm;
+    this.expected = expected;
+    this.actual = actual;
+    this.corruptPath = corruptPath; // 校验失败的文件重命名后的路径
+  }
+}
+
+/**
+ * 解析 expectedHash：支持 "sha256:<hex>"、"md5:<hex>"，或按长度判断算法的十六进制字符串
+ *
+ * @param {string} value - expectedHash 选项
+ * @returns {object|null} { algorithm, hash }，格式无效时返回 null
+ */
+export function parseExpectedHash(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = /^(?:(sha256|md5):)?([0-9a-f]+)$/i.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const hash = match[2].toLowerCase();
+  const algorithm = match[1]
+    ? match[1].toLowerCase()
+    : Object.keys(HASH_LENGTHS).find((name) => HASH_LENGTHS[name] === hash.length);
+
+  if (!algorithm || HASH_LENGTHS[algorithm] !== hash.length) {
+    return null;
+  }
+
+  return { algorithm, hash };
+}
+
+/**
+ * 根据选项确定需要计算的算法
+ *
+ * @param {object} options - 下载选项（md5、expectedHash）
+ * @returns {Array<string>} 算法列表
+ */
+export function getHashAlgorithms(options = {}) {
+  const expected = parseExpectedHash(options.expectedHash);
+  return options.md5 === true || (expected && expected.algorithm === 'md5') ? ['sha256', 'md5'] : ['sha256'];
+}
+
+/**
+ * 创建可以边下载边计算的校验器
+ *
+ * @param {Array<string>} algorithms - 算法列表
+ * @returns {object} { update(chunk), digest() }，digest 返回 { sha256, md5 }
+ */
+export function createHasher(algorithms) {
+  const hashes = algorithms.map((algorithm) => [algorithm, crypto.createHash(algorithm)]);
+
+  return {
+    update(chunk) {
+      for (const [, hash] of hashes) {
+        hash.update(chunk);
+      }
+    },
+
+    digest() {
+      return Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+    }
+  };
+}
+
+/**
+ * 读取文件计算校验值
+ *
+ * @param {string} filePath - 文件路径
+ * @param {Array<string>} algorithms - 算法列表
+ * @returns {Promise<object>} { sha256, md5 }
+ */
+export async function hashFile(filePath, algorithms) {
+  const hasher = createHasher(algorithms);
+  await updateFromFile(hasher, filePath);
+  return hasher.digest();
+}
+
+/**
+ * 将文件内容加入校验器（续传时先加入已下载的部分）
+ *
+ * @param {object} hasher - createHasher 创建的校验器
+ * @param {string} filePath - 文件路径
+ * @param {number} length - 只读取开头的字节数，默认读取整个文件
+ */
+export async function updateFromFile(hasher, filePath, length = Infinity) {
+  if (length <= 0) {
+    return;
+  }
+
+  const stream = fs.createReadStream(filePath, length === Infinity ? {} : { end: length - 1 });
+  for await (const chunk of stream) {
+    hasher.update(chunk);
+  }
+}
+
+/**
+ * 计算输出文件的校验值（已边下载边计算时直接使用），并与 expectedHash 比较
+ * 音频单独保存时（没有 ffmpeg）同时计算音频文件的校验值（audioChecksums），expectedHash 只与输出文件比较
+ *
+ * @param {object} result - 下载结果，包含 outputPath，可能已包含 checksums、audioChecksums
+ * @param {object} options - 下载选项（md5、expectedHash）
+ * @returns {Promise<object>} 增加了 checksums（和 audioChecksums）的下载结果
+ */
+export async function attachChecksums(result, options = {}) {
+  if (!result || !result.outputPath || !fs.existsSync(result.outputPath)) {
+    return result;
+  }
+
+  const algorithms = getHashAlgorithms(options);
+  const checksums = result.checksums || (await hashFile(result.outputPath, algorithms));
+  logger.info(`SHA-256: ${checksums.sha256} (${result.outputPath})`);
+
+  let audioChecksums = null;
+  if (result.audioPath && fs.existsSync(result.audioPath)) {
+    audioChecksums = result.audioChecksums || (await hashFile(result.audioPath, algorithms));
+    logger.info(`SHA-256: ${audioChecksums.sha256} (${result.audioPath})`);
+    if (options.expectedHash) {
+      logger.warn(`音频单独保存，expectedHash 只校验视频文件: ${result.outputPath}`);
+    }
+  }
+
+  verifyExpectedHash(checksums, options.expectedHash, result.outputPath);
+  return { ...result, checksums, ...(audioChecksums && { audioChecksums }) };
+}
+
+/**
+ * 校验值与 expectedHash 不一致时抛出 ChecksumMismatchError
+ *
+ * @param {object} checksums - { sha256, md5 }
+ * @param {string} expectedHash - expectedHash 选项，未指定时不校验
+ * @param {string} filePath - 文件路径（用于错误信息）
+ */
+function verifyExpectedHash(checksums, expectedHash, filePath) {
+  if (!expectedHash) {
+    return;
+  }
+
+  const expected = parseExpectedHash(expectedHash);
+  if (!expected) {
+    throw new Error(`expectedHash 格式无效: ${expectedHash}`);
+  }
+
+  const actual = checksums[expected.algorithm];
+  if (actual !== expected.hash) {
+    // 不在输出路径上保留损坏的文件，避免被当作下载成功的文件使用
+    const corruptPath = moveCorruptFile(filePath);
+    throw new ChecksumMismatchError(
+      `校验失败: ${filePath} 的 ${HASH_NAMES[expected.algorithm]} 为 ${actual}，期望 ${expected.hash}` +
+        (corruptPath ? `，文件已重命名为 ${corruptPath}` : '，文件已保留在原位置'),
+      { algorithm: expected.algorithm, expected: expected.hash, actual, corruptPath }
+    );
+  }
+
+  logger.info(`校验通过 (${HASH_NAMES[expected.algorithm]}): ${filePath}`);
+}
+
+/**
+ * 将校验失败的文件重命名为 <文件>.corrupt（覆盖之前的同名文件）
+ *
+ * @returns {string|null} 新的路径，重命名失败时返回 null
+ */
+function moveCorruptFile(filePath) {
+  const corruptPath = `${filePath}.corrupt`;
+  try {
+    fs.rmSync(corruptPath, { force: true });
+    fs.renameSync(filePath, corruptPath);
+    return corruptPath;
+  } catch (error) {
+    logger.warn(`重命名校验失败的文件失败: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * 下载内容检测
+ * 根据数据开头的特征字节判断下载到的是否为媒体数据，
+ * 避免把登录页、验证码页面或 JSON 错误信息当作视频保存或合并
+ */
+
+/**
+ * 检测时读取的字节数
+ */
+export const SNIFF_LENGTH = 512;
+
+/**
+ * 下载的内容不是预期的数据
+ * code 为 HTML_PAGE、JSON_RESPONSE、XML_RESPONSE、PLAYLIST_RESPONSE、TEXT_RESPONSE、
+ * IMAGE_RESPONSE、UNEXPECTED_SUBTITLE、UNEXPECTED_MEDIA 或 UNKNOWN_FORMAT
+ */
+export class InvalidContentError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {object} info - { code, detected }，包装错误时可直接传入原来的 InvalidContentError
+   */
+  constructor(message, { code, detected = null } = {}) {
+    super(message);
+    this.name = 'InvalidContentError';
+    this.code = code;
+    this.detected = detected;
+  }
+}
+
+/**
+ * 各类内容对应的错误代码和说明
+ */
+const CONTENT_KINDS = {
+  html: { code: 'HTML_PAGE', description: '网页（HTML），可能是登录页、验证码或错误页面' },
+  json: { code: 'JSON_RESPONSE', description: '接口返回的 JSON 数据，可能是错误信息' },
+  xml: { code: 'XML_RESPONSE', description: '一个 XML 文档，可能是存储服务返回的错误信息' },
+  playlist: { code: 'PLAYLIST_RESPONSE', description: '一个 m3u8 播放列表' },
+  text: { code: 'TEXT_RESPONSE', description: '文本' },
+  image: { code: 'IMAGE_RESPONSE', description: '图片' },
+  subtitle: { code: 'UNEXPECTED_SUBTITLE', description: '一个 WebVTT 字幕' },
+  media: { code: 'UNEXPECTED_MEDIA', description: '媒体数据' },
+  unknown: { code: 'UNKNOWN_FORMAT', description: '无法识别的数据' }
+};
+
+/**
+ * ISO-BMFF（MP4 / fMP4）常见的顶层 box 类型
+ */
+const ISO_BMFF_BOXES = new Set([
+  'ftyp', 'styp', 'moof', 'moov', 'mdat', 'sidx', 'free', 'skip', 'wide', 'pdin', 'emsg', 'prft', 'uuid'
+]);
+
+/**
+ * 根据特征字节判断数据类型
+ *
+ * @param {Buffer} buffer - 数据（只检查开头部分）
+ * @returns {object} { kind, format }，kind 为 media、html、json、xml、playlist、subtitle、text、image 或 unknown
+ */
+export function sniffContent(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { kind: 'unknown', format: null };
+  }
+
+  const head = buffer.subarray(0, SNIFF_LENGTH);
+  const format = detectMediaFormat(head);
+  if (format) {
+    return { kind: 'media', format };
+  }
+
+  const image = detectImageFormat(head);
+  if (image) {
+    return { kind: 'image', format: image };
+  }
+
+  const text = decodeText(head);
+  if (text !== null) {
+    return { kind: classifyText(text), format: null };
+  }
+
+  // 其他 ISO-BMFF box（如 indexRange 从非 sidx 的 box 开始）
+  if (head.length >= 8 && /^[a-z0-9]{4}$/i.test(head.toString('latin1', 4, 8)) && head.readUInt32BE(0) >= 8) {
+    return { kind: 'media', format: 'mp4' };
+  }
+
+  return { kind: 'unknown', format: null };
+}
+
+/**
+ * 检查下载的内容是否为预期的数据，不是时抛出 InvalidContentError
+ *
+ * @param {Buffer} buffer - 数据
+ * @param {object} options - 选项
+ * @param {string} options.expect - 预期内容：media（媒体数据）、encrypted（加密的媒体数据，只排除文本）、subtitle（WebVTT 字幕）
+ * @param {string} options.label - 错误信息中的数据名称，如 "片段"
+ * @returns {string|null} 识别出的媒体格式
+ */
+export function assertContent(buffer, { expect = 'media', label = '文件' } = {}) {
+  const { kind, format } = sniffContent(buffer);
+
+  if (expect === 'subtitle' ? kind === 'subtitle' : kind === 'media') {
+    return format;
+  }
+  // 加密数据没有特征字节，只排除文本内容
+  if (expect === 'encrypted' && (kind === 'unknown' || kind === 'image' || kind === 'media')) {
+    return null;
+  }
+
+  const { code, description } = CONTENT_KINDS[kind];
+  throw new InvalidContentError(
+    `${label}内容不是${expect === 'subtitle' ? '字幕' : '视频数据'}，而是${description} - ${previewContent(buffer, kind)}`,
+    { code, detected: format || kind }
+  );
+}
+
+/**
+ * 媒体容器的特征字节
+ */
+function detectMediaFormat(buffer) {
+  if (buffer.length < 4) {
+    return null;
+  }
+
+  // MPEG-TS：每 188 字节一个包，以同步字节 0x47 开头；M2TS 每包前有 4 字节时间码
+  if (hasSyncBytes(buffer, 0, 188)) {
+    return 'ts';
+  }
+  if (hasSyncBytes(buffer, 4, 192)) {
+    return 'm2ts';
+  }
+
+  if (buffer.length >= 8 && ISO_BMFF_BOXES.has(buffer.toString('latin1', 4, 8))) {
+    return 'mp4';
+  }
+
+  // WebM / Matroska：EBML 头
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return 'webm';
+  }
+
+  const magic = buffer.toString('latin1', 0, 4);
+  if (magic.startsWith('FLV')) {
+    return 'flv';
+  }
+  if (magic === 'OggS') {
+    return 'ogg';
+  }
+  if (magic === 'RIFF' && buffer.length >= 12 && buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    return 'riff';
+  }
+  // MPEG-PS：pack header
+  if (buffer.readUInt32BE(0) === 0x000001ba) {
+    return 'mpeg-ps';
+  }
+  // H.264 / H.265 裸流：Annex B 起始码
+  if (isAnnexB(buffer)) {
+    return 'annexb';
+  }
+  // ASF / WMV：头对象 GUID
+  if (buffer.readUInt32BE(0) === 0x3026b275) {
+    return 'asf';
+  }
+  // 打包音频（HLS packed audio、MP3）：ID3 标签、MPEG 音频 / ADTS 帧同步、AC-3 同步字
+  if (magic.startsWith('ID3')) {
+    return 'id3';
+  }
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return 'mpeg-audio';
+  }
+  if (buffer[0] === 0x0b && buffer[1] === 0x77) {
+    return 'ac3';
+  }
+
+  return null;
+}
+
+/**
+ * 数据是否由完整的 TS 包组成：至少一个完整的包，且已读取部分中前三个包都以同步字节开头
+ *
+ * @param {Buffer} buffer - 数据开头
+ * @param {number} offset - 同步字节在包中的位置（TS 为 0，M2TS 为 4）
+ * @param {number} packetSize - 包大小（TS 为 188，M2TS 为 192）
+ */
+function hasSyncBytes(buffer, offset, packetSize) {
+  if (buffer.length < packetSize) {
+    return false;
+  }
+  for (let position = offset; position < Math.min(buffer.length, offset + packetSize * 3); position += packetSize) {
+    if (buffer[position] !== 0x47) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 起始码后是否为有效的 H.264 或 H.265 NAL 单元头（forbidden_zero_bit 为 0）
+ * H.264 的 nal_unit_type 为 1-23；H.265 的 nal_unit_type 为 0-40 且 nuh_temporal_id_plus1 不为 0
+ */
+function isAnnexB(buffer) {
+  let offset;
+  if (buffer.readUInt32BE(0) === 0x00000001) {
+    offset = 4;
+  } else if (buffer.readUIntBE(0, 3) === 0x000001) {
+    offset = 3;
+  } else {
+    return false;
+  }
+
+  if (buffer.length < offset + 2 || (buffer[offset] & 0x80) !== 0) {
+    return false;
+  }
+
+  const avcType = buffer[offset] & 0x1f;
+  if (avcType >= 1 && avcType <= 23) {
+    return true;
+  }
+  const hevcType = (buffer[offset] >> 1) & 0x3f;
+  return hevcType <= 40 && (buffer[offset + 1] & 0x07) !== 0;
+}
+
+/**
+ * 图片的特征字节（CDN 常用占位图代替被拒绝的内容）
+ */
+function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  const magic = buffer.toString('latin1', 0, 4);
+  if (magic === 'GIF8') {
+    return 'gif';
+  }
+  if (magic === 'RIFF' && buffer.length >= 12 && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * 按 UTF-8 解码文本，含有控制字符或无效编码时返回 null（二进制数据）
+ */
+function decodeText(buffer) {
+  // 末尾可能截断了多字节字符
+  const text = buffer.toString('utf8').replace(/\uFFFD{1,3}$/, '');
+  if (text.includes('\uFFFD') || /[\x00-\x08\x0e-\x1f\x7f]/.test(text)) {
+    return null;
+  }
+  return text.replace(/^\uFEFF/, '').trimStart();
+}
+
+/**
+ * 判断文本内容的类型
+ */
+function classifyText(text) {
+  const lower = text.slice(0, SNIFF_LENGTH).toLowerCase();
+
+  if (lower.startsWith('<!doctype html') || /<(html|head|body|script|title)[\s>]/.test(lower)) {
+    return 'html';
+  }
+  if (lower.startsWith('<')) {
+    return 'xml';
+  }
+  if (lower.startsWith('{') || lower.startsWith('[')) {
+    return 'json';
+  }
+  if (text.startsWith('#EXTM3U')) {
+    return 'playlist';
+  }
+  if (text.startsWith('WEBVTT')) {
+    return 'subtitle';
+  }
+  return 'text';
+}
+
+/**
+ * 错误信息中显示的内容预览：文本显示开头部分，二进制数据显示开头字节
+ */
+function previewContent(buffer, kind) {
+  if (!buffer || buffer.length === 0) {
+    return '(空)';
+  }
+  if (kind === 'unknown' || kind === 'image' || kind === 'media') {
+    return buffer.subarray(0, 16).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+  }
+  const text = buffer.subarray(0, 200).toString('utf8').replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.slice(0, 80)}...` : text;
+}
@@ -3,6 +3,7 @@ import { EventEmitter } from 'events';
 import { logger } from './logger.js';
 import { isVideoUrl, getVideoSize, formatFileSize } from './videoUtils.js';
 import { getPuppeteerLaunchOptions } from './puppeteerConfig.js';
+import { applyCookies } from './cookieStore.js';
 
 /**
  * 持续检测管理器
@@ -109,6 +110,9 @@ class ContinuousDetector extends EventEmitter {
         }
       });
 
+      // 注入已导入的 Cookie（登录状态）
+      await applyCookies(page, url);
+
       // 导航到页面
       await page.goto(url, {
         waitUntil: 'networkidle2',
@@ -0,0 +1,429 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Cookie 存储
+ * 导入 Netscape 格式（cookies.txt）或 JSON 格式（浏览器扩展、Puppeteer、Playwright 导出）的 Cookie，
+ * 按域名保存在 temp/cookies.json，检测时注入浏览器页面，下载时随清单、片段请求发送
+ */
+
+const COOKIES_FILE = path.join(process.cwd(), 'temp', 'cookies.json');
+
+/**
+ * 浏览器扩展导出的 sameSite 与 Puppeteer 取值的对应关系
+ */
+const SAME_SITE_VALUES = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
+let cookiesByDomain = null;
+
+/**
+ * 解析 Cookie 文件内容
+ * 以 [ 或 { 开头时按 JSON 解析（Cookie 数组或包含 cookies 数组的对象），否则按 Netscape 格式解析
+ *
+ * @param {string|Array|object} content - 文件内容，或已解析的 JSON
+ * @returns {Array<object>} Cookie 列表 { name, value, domain, includeSubdomains, path, secure, httpOnly, expires, sameSite }
+ */
+export function parseCookies(content) {
+  if (typeof content === 'string') {
+    const text = content.replace(/^\uFEFF/, '').trim();
+    if (!text) {
+      throw new Error('Cookie 内容为空');
+    }
+    if (!text.startsWith('[') && !text.startsWith('{')) {
+      return parseNetscapeCookies(text);
+    }
+
+    try {
+      content = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cookie JSON 格式无效: ${error.message}`);
+    }
+  }
+
+  const list = Array.isArray(content) ? content : content && content.cookies;
+  if (!Array.isArray(list)) {
+    throw new Error('Cookie JSON 必须是数组，或包含 cookies 数组的对象');
+  }
+
+  return list.map((cookie, index) => normalizeJsonCookie(cookie, index));
+}
+
+/**
+ * 导入 Cookie：按域名替换已有的 Cookie（重新导出后导入可以覆盖过期的登录状态），已过期的 Cookie 会被忽略
+ *
+ * @param {Array<object>} cookies - parseCookies 返回的 Cookie 列表
+ * @returns {Array<object>} 导入的域名及数量 [{ domain, count }]
+ */
+export function importCookies(cookies) {
+  const store = loadStore();
+  const now = Date.now() / 1000;
+  const imported = new Map();
+
+  for (const cookie of cookies) {
+    if (cookie.expires && cookie.expires <= now) {
+      continue;
+    }
+    if (!imported.has(cookie.domain)) {
+      imported.set(cookie.domain, new Map());
+    }
+    // 同名同路径的 Cookie 只保留最后一个
+    imported.get(cookie.domain).set(`${cookie.name};${cookie.path}`, cookie);
+  }
+
+  for (const [domain, domainCookies] of imported) {
+    store.set(domain, Array.from(domainCookies.values()));
+  }
+  saveStore();
+
+  const result = Array.from(imported, ([domain, domainCookies]) => ({ domain, count: domainCookies.size }));
+  logger.info(`已导入 ${result.reduce((sum, item) => sum + item.count, 0)} 个 Cookie（${result.map((item) => item.domain).join(', ') || '无'}）`);
+  return result;
+}
+
+/**
+ * 列出已保存 Cookie 的域名（不包含 Cookie 的值）
+ * @returns {Array<object>} [{ domain, count, names, expiresAt }]，expiresAt 为最早的过期时间（ISO 字符串），都是会话 Cookie 时为 null
+ */
+export function listCookieDomains() {
+  const store = loadStore();
+  removeExpired(store);
+
+  return Array.from(store, ([domain, cookies]) => {
+    const expires = cookies.map((cookie) => cookie.expires).filter(Boolean);
+    return {
+      domain,
+      count: cookies.length,
+      names: cookies.map((cookie) => cookie.name),
+      expiresAt: expires.length > 0 ? new Date(Math.min(...expires) * 1000).toISOString() : null
+    };
+  }).sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * 删除 Cookie
+ * @param {string|null} domain - 域名，为 null 时删除所有 Cookie
+ * @returns {number} 删除的 Cookie 数量
+ */
+export function removeCookies(domain = null) {
+  const store = loadStore();
+  let removed = 0;
+
+  if (domain === null) {
+    for (const cookies of store.values()) {
+      removed += cookies.length;
+    }
+    store.clear();
+  } else {
+    const key = normalizeDomain(domain);
+    removed = store.has(key) ? store.get(key).length : 0;
+    store.delete(key);
+  }
+
+  if (removed > 0) {
+    saveStore();
+    logger.info(`已删除 ${removed} 个 Cookie${domain === null ? '' : `（${domain}）`}`);
+  }
+  return removed;
+}
+
+/**
+ * 获取请求 URL 对应的 Cookie 请求头
+ * 按域名、路径、secure 和过期时间匹配，与浏览器发送的 Cookie 一致
+ *
+ * @param {string} url - 请求的 URL
+ * @returns {object} { Cookie: "..." }，没有匹配的 Cookie 时返回空对象
+ */
+export function getCookieHeaders(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return {};
+  }
+
+  const store = loadStore();
+  if (store.size === 0) {
+    return {};
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  const now = Date.now() / 1000;
+  const matched = [];
+
+  for (const cookie of getDomainCookies(store, host)) {
+    if ((!cookie.secure || urlObj.protocol === 'https:') &&
+        (!cookie.expires || cookie.expires > now) &&
+        matchPath(urlObj.pathname, cookie.path)) {
+      matched.push(cookie);
+    }
+  }
+
+  if (matched.length === 0) {
+    return {};
+  }
+
+  // 路径更具体的 Cookie 排在前面
+  matched.sort((a, b) => b.path.length - a.path.length);
+  return { Cookie: matched.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ') };
+}
+
+/**
+ * 重定向时按新的 URL 重新计算 Cookie 请求头，用作 axios 的 beforeRedirect 选项
+ * 请求头中的 Cookie 是按最初的 URL 计算的，重定向到其他域名后不能继续发送
+ *
+ * @param {object} options - 重定向请求的选项（href 为新的 URL）
+ */
+export function refreshCookieHeader(options) {
+  for (const name of Object.keys(options.headers)) {
+    if (name.toLowerCase() === 'cookie') {
+      delete options.headers[name];
+    }
+  }
+  Object.assign(options.headers, getCookieHeaders(options.href));
+}
+
+/**
+ * 将目标页面域名（及其上级域名）的 Cookie 注入浏览器页面，需要在 page.goto 之前调用
+ * 其他域名的 Cookie 不会注入，避免发送给页面中的第三方请求
+ *
+ * @param {object} page - Puppeteer 页面
+ * @param {string} url - 要打开的页面 URL
+ */
+export async function applyCookies(page, url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return;
+  }
+
+  const store = loadStore();
+  removeExpired(store);
+
+  const cookies = getDomainCookies(store, host).map(toPuppeteerCookie);
+  if (cookies.length === 0) {
+    return;
+  }
+
+  await page.setCookie(...cookies);
+  logger.info(`已注入 ${cookies.length} 个 Cookie（${host}）`);
+}
+
+/**
+ * 解析 Netscape 格式：每行 domain、includeSubdomains、path、secure、expires、name、value，以制表符分隔；
+ * 以 #HttpOnly_ 开头的行是 HttpOnly Cookie，其他 # 开头的行是注释
+ */
+function parseNetscapeCookies(text) {
+  const cookies = [];
+
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let separator = '\t';
+    let fields = line.split(separator);
+    if (fields.length < 6) {
+      // 部分工具导出时用空格代替制表符
+      separator = ' ';
+      fields = line.split(/\s+/);
+    }
+    if (fields.length < 6) {
+      throw new Error(`cookies.txt 第 ${index + 1} 行格式无效，应为 7 列（以制表符分隔）`);
+    }
+
+    const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+    const expiresAt = parseInt(expires, 10);
+    if (isNaN(expiresAt)) {
+      throw new Error(`cookies.txt 第 ${index + 1} 行过期时间无效: ${expires}`);
+    }
+
+    cookies.push(createCookie({
+      name,
+      value: value.join(separator),
+      domain,
+      includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE',
+      path: cookiePath,
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: expiresAt > 0 ? expiresAt : null,
+      sameSite: null
+    }, `cookies.txt 第 ${index + 1} 行`));
+  }
+
+  if (cookies.length === 0) {
+    throw new Error('cookies.txt 中没有 Cookie');
+  }
+  return cookies;
+}
+
+/**
+ * 转换 JSON 格式的 Cookie
+ * 过期时间支持 expirationDate（浏览器扩展）和 expires（Puppeteer、Playwright，-1 表示会话 Cookie），单位为秒
+ */
+function normalizeJsonCookie(cookie, index) {
+  const label = `cookies[${index}]`;
+  if (!cookie || typeof cookie !== 'object') {
+    throw new Error(`${label} 必须是对象`);
+  }
+
+  const expires = cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expires;
+  const domain = typeof cookie.domain === 'string' ? cookie.domain : '';
+
+  return createCookie({
+    name: cookie.name,
+    value: cookie.value === undefined || cookie.value === null ? '' : String(cookie.value),
+    domain,
+    includeSubdomains: typeof cookie.hostOnly === 'boolean' ? !cookie.hostOnly : domain.startsWith('.'),
+    path: cookie.path || '/',
+    secure: cookie.secure === true,
+    httpOnly: cookie.httpOnly === true,
+    expires: typeof expires === 'number' && expires > 0 ? Math.floor(expires) : null,
+    sameSite: typeof cookie.sameSite === 'string' ? SAME_SITE_VALUES[cookie.sameSite.toLowerCase()] || null : null
+  }, label);
+}
+
+/**
+ * 校验并创建 Cookie，域名统一为小写且不带开头的点
+ */
+function createCookie(cookie, label) {
+  if (typeof cookie.name !== 'string' || !cookie.name) {
+    throw new Error(`${label} 缺少 name`);
+  }
+  const domain = normalizeDomain(cookie.domain);
+  if (!domain) {
+    throw new Error(`${label} 缺少 domain`);
+  }
+  if (/[;\r\n]/.test(cookie.name) || /[;\r\n]/.test(cookie.value)) {
+    throw new Error(`${label} 的 name 或 value 包含无效字符`);
+  }
+
+  return {
+    ...cookie,
+    domain,
+    path: cookie.path && cookie.path.startsWith('/') ? cookie.path : '/'
+  };
+}
+
+function normalizeDomain(domain) {
+  return String(domain || '').trim().replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * 获取可以发送给该主机的 Cookie：主机本身的 Cookie，以及上级域名中包含子域名的 Cookie
+ */
+function getDomainCookies(store, host) {
+  const matched = [];
+  for (const [domain, cookies] of store) {
+    if (host !== domain && !host.endsWith(`.${domain}`)) {
+      continue;
+    }
+    matched.push(...cookies.filter((cookie) => host === domain || cookie.includeSubdomains));
+  }
+  return matched;
+}
+
+/**
+ * 请求路径是否匹配 Cookie 路径（RFC 6265 5.1.4）
+ */
+function matchPath(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  return requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+}
+
+/**
+ * 转换为 Puppeteer 的 Cookie 格式
+ * 只属于当前主机的 Cookie 使用 url 注入（指定 domain 时浏览器会将其视为包含子域名的 Cookie）
+ */
+function toPuppeteerCookie(cookie) {
+  const result = {
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly
+  };
+
+  if (cookie.includeSubdomains) {
+    result.domain = `.${cookie.domain}`;
+  } else {
+    result.url = `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path}`;
+  }
+  if (cookie.expires) {
+    result.expires = cookie.expires;
+  }
+  // SameSite=None 的 Cookie 必须是 secure 的，否则浏览器会拒绝
+  if (cookie.sameSite && (cookie.sameSite !== 'None' || cookie.secure)) {
+    result.sameSite = cookie.sameSite;
+  }
+  return result;
+}
+
+/**
+ * 读取已保存的 Cookie（首次使用时从 temp/cookies.json 加载）
+ */
+function loadStore() {
+  if (cookiesByDomain) {
+    return cookiesByDomain;
+  }
+
+  cookiesByDomain = new Map();
+  if (fs.existsSync(COOKIES_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf-8'));
+      for (const [domain, cookies] of Object.entries(data.domains || {})) {
+        cookiesByDomain.set(domain, cookies);
+      }
+      removeExpired(cookiesByDomain);
+    } catch (error) {
+      logger.warn(`读取 Cookie 失败: ${COOKIES_FILE} - ${error.message}`);
+    }
+  }
+  return cookiesByDomain;
+}
+
+/**
+ * 保存 Cookie，文件只允许当前用户读写
+ */
+function saveStore() {
+  const dir = path.dirname(COOKIES_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    COOKIES_FILE,
+    JSON.stringify({ domains: Object.fromEntries(cookiesByDomain), savedAt: Date.now() }, null, 2),
+    { mode: 0o600 }
+  );
+}
+
+/**
+ * 删除已过期的 Cookie
+ */
+function removeExpired(store) {
+  const now = Date.now() / 1000;
+  for (const [domain, cookies] of store) {
+    const valid = cookies.filter((cookie) => !cookie.expires || cookie.expires > now);
+    if (valid.length === 0) {
+      store.delete(domain);
+    } else if (valid.length !== cookies.length) {
+      store.set(domain, valid);
+    }
+  }
+}
@@ -0,0 +1,293 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+let ffmpegPathPromise = null;
+
+/**
+ * 支持的输出容器格式
+ */
+export const OUTPUT_FORMATS = ['mp4', 'mkv', 'ts'];
+
+/**
+ * 各输出格式对应的 ffmpeg 参数（MP4 将 moov 移到文件开头，便于边下边播）
+ */
+const FORMAT_ARGS = {
+  mp4: ['-movflags', '+faststart', '-f', 'mp4'],
+  mkv: ['-f', 'matroska'],
+  ts: ['-f', 'mpegts']
+};
+
+/**
+ * 片段实际容器格式对应的文件扩展名（无法重新封装时使用）
+ */
+const NATIVE_EXTENSIONS = {
+  ts: 'ts',
+  fmp4: 'mp4',
+  mp4: 'mp4',
+  webm: 'webm'
+};
+
+/**
+ * 查找本地 ffmpeg 可执行文件
+ * 优先使用 FFMPEG_PATH 环境变量，其次使用 PATH 中的 ffmpeg
+ *
+ * @returns {Promise<string|null>} ffmpeg 路径，找不到则返回 null
+ */
+export function getFfmpegPath() {
+  if (!ffmpegPathPromise) {
+    ffmpegPathPromise = (async () => {
+      const candidate = process.env.FFMPEG_PATH || 'ffmpeg';
+
+      try {
+        await execFileAsync(candidate, ['-version'], { timeout: 10000 });
+        logger.info(`使用 ffmpeg: ${candidate}`);
+        return candidate;
+      } catch (error) {
+        logger.warn(`未找到 ffmpeg (${candidate})，部分功能将不可用`);
+        return null;
+      }
+    })();
+  }
+
+  return ffmpegPathPromise;
+}
+
+/**
+ * 执行 ffmpeg 命令
+ *
+ * @param {Array<string>} args - ffmpeg 参数
+ * @returns {Promise<void>}
+ */
+export async function runFfmpeg(args) {
+  const ffmpeg = await getFfmpegPath();
+  if (!ffmpeg) {
+    throw new Error('未找到 ffmpeg，请安装 ffmpeg 或设置 FFMPEG_PATH 环境变量');
+  }
+
+  logger.debug(`执行 ffmpeg: ${args.join(' ')}`);
+
+  try {
+    await execFileAsync(ffmpeg, ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+      maxBuffer: 10 * 1024 * 1024
+    });
+  } catch (error) {
+    const detail = (error.stderr || error.message || '').toString().trim();
+    throw new Error(`ffmpeg 执行失败: ${detail}`);
+  }
+}
+
+/**
+ * 将视频和音频合成为一个文件（不重新编码）
+ *
+ * @param {string} videoPath - 视频文件路径
+ * @param {string} audioPath - 音频文件路径
+ * @param {string} outputPath - 输出文件路径
+ * @param {string} format - 输出格式 mp4 | mkv | ts（可选，默认按扩展名判断）
+ * @returns {Promise<void>}
+ */
+export async function muxAudioVideo(videoPath, audioPath, outputPath, format = null) {
+  await runFfmpeg([
+    '-i', videoPath,
+    '-i', audioPath,
+    '-map', '0:v:0',
+    '-map', '1:a:0',
+    '-c', 'copy',
+    ...(FORMAT_ARGS[format] || []),
+    outputPath
+  ]);
+}
+
+/**
+ * 使用 concat 分离器拼接多个文件（不重新编码），生成连续的时间戳
+ *
+ * @param {Array<string>} inputPaths - 按顺序排列的输入文件
+ * @param {string} outputPath - 输出文件路径
+ * @param {string} workDir - 存放拼接列表文件的目录
+ * @param {string} format - 输出格式 mp4 | mkv | ts（可选，默认按扩展名判断）
+ * @returns {Promise<void>}
+ */
+export async function concatWithFfmpeg(inputPaths, outputPath, workDir, format = null) {
+  const listPath = path.join(workDir, `concat_${Date.now()}.txt`);
+  const list = inputPaths
+    .map((inputPath) => `file '${path.resolve(inputPath).replace(/'/g, "'\\''")}'`)
+    .join('\n');
+  fs.writeFileSync(listPath, list + '\n');
+
+  try {
+    await runFfmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-c', 'copy',
+      ...(FORMAT_ARGS[format] || []),
+      outputPath
+    ]);
+  } finally {
+    fs.unlinkSync(listPath);
+  }
+}
+
+/**
+ * 将拼接好的片段文件重新封装为指定容器格式（不重新编码）
+ * 没有 ffmpeg 或封装失败时保留原始容器，并使用与实际内容相符的扩展名
+ *
+ * @param {string} inputPath - 拼接好的片段文件，处理后会被删除或移动到输出路径
+ * @param {string} outputPath - 期望的输出路径，扩展名会替换为实际格式
+ * @param {string} format - 输出格式 mp4 | mkv | ts
+ * @param {string} sourceContainer - 片段的实际容器格式（detectContainer 的结果）
+ * @returns {Promise<object>} { outputPath, format, method }，method 为 ffmpeg 或 none
+ */
+export async function remuxToFormat(inputPath, outputPath, format, sourceContainer) {
+  const basePath = outputPath.replace(/\.[^.\\/]+$/, '');
+
+  if (await getFfmpegPath()) {
+    const finalPath = `${basePath}.${format}`;
+    try {
+      await runFfmpeg([
+        '-i', inputPath,
+        '-map', '0:v?',
+        '-map', '0:a?',
+        '-c', 'copy',
+        ...FORMAT_ARGS[format],
+        finalPath
+      ]);
+      fs.unlinkSync(inputPath);
+      logger.info(`已重新封装为 ${format.toUpperCase()}: ${finalPath}`);
+      return { outputPath: finalPath, format, method: 'ffmpeg' };
+    } catch (error) {
+      if (fs.existsSync(finalPath)) {
+        fs.unlinkSync(finalPath);
+      }
+      logger.warn(`重新封装失败，保留原始容器: ${error.message}`);
+    }
+  }
+
+  const nativeFormat = NATIVE_EXTENSIONS[sourceContainer] || format;
+  if (nativeFormat !== format) {
+    logger.warn(`无法封装为 ${format.toUpperCase()}，文件保存为原始的 ${nativeFormat.toUpperCase()} 格式`);
+  }
+
+  const finalPath = `${basePath}.${nativeFormat}`;
+  moveFile(inputPath, finalPath);
+  return { outputPath: finalPath, format: nativeFormat, method: 'none' };
+}
+
+/**
+ * 移动文件，临时目录与输出目录不在同一文件系统时改为复制后删除
+ */
+function moveFile(sourcePath, targetPath) {
+  try {
+    fs.renameSync(sourcePath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.copyFileSync(sourcePath, targetPath);
+    fs.unlinkSync(sourcePath);
+  }
+}
+
+/**
+ * 按时间范围裁剪，结果覆盖原文件
+ * 起点在片段边界（关键帧）上时直接复制流（不重新编码），否则重新编码以保证首帧准确。
+ * 裁剪失败时保留按片段边界下载的文件
+ *
+ * @param {string} filePath - 要裁剪的文件
+ * @param {object} clip - selectTimeRange 返回的 clip（offset、duration 为秒）
+ * @param {string} format - 输出格式 mp4 | mkv | ts | webm
+ * @returns {Promise<boolean>} 是否已精确裁剪（没有 ffmpeg 或裁剪失败时返回 false）
+ */
+export async function trimToClip(filePath, clip, format) {
+  // 片段边界与时间范围一致时无需裁剪
+  if (clip.offset < 0.001 && clip.rangeEnd - clip.end < 0.001) {
+    return true;
+  }
+
+  if (!(await getFfmpegPath())) {
+    logger.warn('未找到 ffmpeg，只能按片段边界裁剪，首尾可能多出部分内容');
+    return false;
+  }
+
+  // 片段总是从关键帧开始，起点在片段边界上时只需裁掉结尾
+  const videoCodec = clip.offset < 0.001 ? null : await probeVideoCodec(filePath);
+  const encoders = getTrimEncoders(clip, format, videoCodec);
+
+  const trimmedPath = filePath.replace(/(\.[^.\\/]+)?$/, '.trimmed$1');
+  try {
+    await runFfmpeg(encoders ? [
+      '-i', filePath,
+      '-ss', clip.offset.toFixed(3),
+      '-t', clip.duration.toFixed(3),
+      '-map', '0:v?',
+      '-map', '0:a?',
+      '-c:v', encoders.video,
+      ...encoders.videoArgs,
+      '-c:a', encoders.audio,
+      ...(FORMAT_ARGS[format] || []),
+      trimmedPath
+    ] : [
+      '-i', filePath,
+      '-t', clip.duration.toFixed(3),
+      '-map', '0:v?',
+      '-map', '0:a?',
+      '-c', 'copy',
+      ...(FORMAT_ARGS[format] || []),
+      trimmedPath
+    ]);
+    fs.renameSync(trimmedPath, filePath);
+  } catch (error) {
+    logger.warn(`裁剪失败，保留按片段边界下载的内容: ${error.message}`);
+    return false;
+  } finally {
+    if (fs.existsSync(trimmedPath)) {
+      fs.unlinkSync(trimmedPath);
+    }
+  }
+
+  logger.info(`已裁剪到 ${clip.start}s - ${clip.end}s${encoders ? `（重新编码为 ${encoders.video}）` : ''}: ${filePath}`);
+  return true;
+}
+
+/**
+ * 选择裁剪时的编码器：起点在片段边界上时复制流，否则重新编码
+ * WebM，以及源视频为 VP9 / AV1 的 MKV 编码为 VP9 + Opus，其他格式编码为 H.264 + AAC
+ *
+ * @param {object} clip - selectTimeRange 返回的 clip
+ * @param {string} format - 输出格式
+ * @param {string|null} videoCodec - 源视频编码（probeVideoCodec 的结果）
+ * @returns {object|null} { video, videoArgs, audio } 编码器名称和视频质量参数，复制流时返回 null
+ */
+export function getTrimEncoders(clip, format, videoCodec) {
+  if (clip.offset < 0.001) {
+    return null;
+  }
+  if (format === 'webm' || (format === 'mkv' && ['vp9', 'av1'].includes(videoCodec))) {
+    return { video: 'libvpx-vp9', videoArgs: ['-crf', '31', '-b:v', '0', '-row-mt', '1'], audio: 'libopus' };
+  }
+  return { video: 'libx264', videoArgs: ['-preset', 'veryfast', '-crf', '18'], audio: 'aac' };
+}
+
+/**
+ * 读取文件第一个视频流的编码名称，如 h264、hevc、vp9
+ * ffmpeg 只指定输入时会输出流信息后以错误退出，从 stderr 中解析
+ *
+ * @returns {Promise<string|null>} 编码名称，没有视频流或无法识别时返回 null
+ */
+async function probeVideoCodec(filePath) {
+  const ffmpeg = await getFfmpegPath();
+  let output = '';
+  try {
+    const { stderr } = await execFileAsync(ffmpeg, ['-hide_banner', '-i', filePath], { timeout: 30000 });
+    output = stderr;
+  } catch (error) {
+    output = (error.stderr || '').toString();
+  }
+
+  const match = /Stream #\d+:\d+.*?: Video: ([\w-]+)/.exec(output);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * 按序号顺序写入的重排缓冲区
+ * 片段可以按任意顺序到达，写入函数总是按序号顺序、逐个调用；
+ * 等待中的片段先缓存在内存中，超过内存上限后写入临时文件，轮到时再读回
+ */
+export class OrderedWriter {
+  /**
+   * @param {function} write - 写入函数 async (index, data)，按序号顺序调用
+   * @param {object} options - 选项
+   * @param {string} options.spillDir - 临时文件目录
+   * @param {number} options.maxBufferedBytes - 内存中最多缓存的字节数
+   * @param {number} options.startIndex - 起始序号（断点续传时跳过已写入的片段）
+   * @param {function} options.onSpill - 片段写入临时文件后的回调 (index, filePath)
+   */
+  constructor(write, { spillDir, maxBufferedBytes = 64 * 1024 * 1024, startIndex = 0, onSpill = null }) {
+    this.write = write;
+    this.spillDir = spillDir;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.onSpill = onSpill;
+    this.nextIndex = startIndex;
+    this.pending = new Map(); // index -> { data } 或 { filePath }
+    this.bufferedBytes = 0;
+    this.spilledCount = 0;
+    this.writingIndex = null; // 正在写入的片段序号
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 获取片段的临时文件路径
+   */
+  getSpillPath(index) {
+    return path.join(this.spillDir, `spill_${index.toString().padStart(6, '0')}.bin`);
+  }
+
+  /**
+   * 添加片段，并写入所有已经轮到的片段
+   * @param {number} index - 片段序号
+   * @param {Buffer} data - 片段数据
+   */
+  push(index, data) {
+    if (index !== this.nextIndex && this.bufferedBytes + data.length > this.maxBufferedBytes) {
+      // 前面的片段迟迟未到，内存已满，暂存到磁盘
+      this.pending.set(index, { filePath: this.spill(index, data) });
+    } else {
+      this.pending.set(index, { data });
+      this.bufferedBytes += data.length;
+    }
+
+    return this.drain();
+  }
+
+  /**
+   * 添加已在临时文件中的片段（断点续传时使用）
+   */
+  pushSpilled(index, filePath) {
+    this.pending.set(index, { filePath });
+    return this.drain();
+  }
+
+  /**
+   * 将内存中等待的片段全部写入临时文件（下载中断时调用，便于之后继续）
+   * 正在写入的片段会由 drain 处理，不再暂存
+   */
+  spillPending() {
+    for (const [index, entry] of this.pending) {
+      if (entry.data && index !== this.writingIndex) {
+        this.pending.set(index, { filePath: this.spill(index, entry.data) });
+        this.bufferedBytes -= entry.data.length;
+      }
+    }
+  }
+
+  /**
+   * 写入临时文件
+   */
+  spill(index, data) {
+    const filePath = this.getSpillPath(index);
+    fs.writeFileSync(filePath, data);
+    this.spilledCount++;
+    logger.debug(`重排缓冲区已满，片段 #${index} 暂存到磁盘`);
+    if (this.onSpill) {
+      this.onSpill(index, filePath);
+    }
+    return filePath;
+  }
+
+  /**
+   * 按顺序写入已经轮到的片段，写入过程串行执行
+   */
+  drain() {
+    this.queue = this.queue.then(async () => {
+      while (this.pending.has(this.nextIndex)) {
+        const index = this.nextIndex;
+        const entry = this.pending.get(index);
+
+        this.writingIndex = index;
+        try {
+          await this.write(index, entry.data || fs.readFileSync(entry.filePath));
+        } finally {
+          this.writingIndex = null;
+        }
+        this.pending.delete(index);
+        this.nextIndex++;
+
+        if (entry.data) {
+          this.bufferedBytes -= entry.data.length;
+        } else {
+          fs.unlinkSync(entry.filePath);
+        }
+      }
+    });
+
+    return this.queue;
+  }
+}
@@ -0,0 +1,261 @@
+import { logger } from './logger.js';
+
+/**
+ * 检测页面时按顺序执行的交互步骤
+ * 如关闭 Cookie 提示、点击播放、切换清晰度、滚动页面、等待元素或请求出现；
+ * 只提供固定的操作类型，不执行任意脚本
+ */
+
+/**
+ * 单个步骤的默认超时时间（毫秒）
+ */
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+/**
+ * 单个步骤允许的最长超时时间（毫秒）
+ */
+const MAX_STEP_TIMEOUT = 120000;
+
+/**
+ * 支持的操作类型及必需参数
+ */
+const ACTION_FIELDS = {
+  click: ['selector'],
+  type: ['selector', 'text'],
+  press: ['key'],
+  scroll: [],
+  hover: ['selector'],
+  waitForSelector: ['selector'],
+  waitForResponse: ['url'],
+  wait: ['ms'],
+  select: ['selector', 'value']
+};
+
+export const ACTION_TYPES = Object.keys(ACTION_FIELDS);
+
+/**
+ * 校验步骤列表
+ * @param {Array<object>} actions - 步骤列表
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateActions(actions) {
+  if (!Array.isArray(actions)) {
+    return 'actions 必须是数组';
+  }
+
+  for (const [index, action] of actions.entries()) {
+    const name = `actions[${index}]`;
+
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      return `${name} 必须是对象`;
+    }
+    if (!ACTION_TYPES.includes(action.type)) {
+      return `${name}.type 必须是 ${ACTION_TYPES.join('、')} 之一`;
+    }
+
+    for (const field of ACTION_FIELDS[action.type]) {
+      if (action[field] === undefined || action[field] === null || action[field] === '') {
+        return `${name} 缺少 ${field} 参数`;
+      }
+    }
+
+    for (const field of ['selector', 'text', 'key', 'url']) {
+      if (action[field] !== undefined && typeof action[field] !== 'string') {
+        return `${name}.${field} 必须是字符串`;
+      }
+    }
+    if (action.value !== undefined && typeof action.value !== 'string' &&
+        !(Array.isArray(action.value) && action.value.every((value) => typeof value === 'string'))) {
+      return `${name}.value 必须是字符串或字符串数组`;
+    }
+    for (const field of ['ms', 'timeout', 'delay', 'x', 'y']) {
+      if (action[field] !== undefined && (typeof action[field] !== 'number' || !Number.isFinite(action[field]))) {
+        return `${name}.${field} 必须是数字`;
+      }
+    }
+    if (action.ms !== undefined && (action.ms < 0 || action.ms > MAX_STEP_TIMEOUT)) {
+      return `${name}.ms 必须在 0 到 ${MAX_STEP_TIMEOUT} 之间`;
+    }
+    if (action.timeout !== undefined && (action.timeout <= 0 || action.timeout > MAX_STEP_TIMEOUT)) {
+      return `${name}.timeout 必须大于 0 且不超过 ${MAX_STEP_TIMEOUT}`;
+    }
+    if (action.type === 'scroll' && action.to !== undefined && action.to !== 'top' && action.to !== 'bottom') {
+      return `${name}.to 必须是 "top" 或 "bottom"`;
+    }
+    for (const field of ['optional', 'visible', 'hidden']) {
+      if (action[field] !== undefined && typeof action[field] !== 'boolean') {
+        return `${name}.${field} 必须是布尔值`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 按顺序执行步骤
+ * 步骤失败时跳过后续步骤（optional 为 true 的步骤失败后继续执行），已检测到的视频仍会返回
+ *
+ * @param {object} page - Puppeteer 页面
+ * @param {Array<object>} actions - 步骤列表（已通过 validateActions 校验）
+ * @param {object} options - 选项
+ * @param {function} options.getVideoCount - 返回当前已检测到的视频数量，用于统计每个步骤新增的视频
+ * @param {function} options.onStep - 每个步骤结束后的回调 (result)
+ * @returns {Promise<Array<object>>} 每个步骤的结果 { index, type, status, duration, newVideos, error }，
+ *   status 为 ok、failed 或 skipped
+ */
+export async function runActions(page, actions, options = {}) {
+  const { getVideoCount = () => 0, onStep = null } = options;
+  const results = [];
+  let aborted = false;
+
+  for (const [index, action] of actions.entries()) {
+    const label = describeAction(action);
+    let result;
+
+    if (aborted) {
+      result = { index, type: action.type, status: 'skipped', error: null, duration: 0, newVideos: 0 };
+      logger.info(`跳过步骤 ${index + 1}/${actions.length}: ${label}`);
+    } else {
+      const startTime = Date.now();
+      const videoCount = getVideoCount();
+      logger.info(`执行步骤 ${index + 1}/${actions.length}: ${label}`);
+
+      try {
+        await runAction(page, action);
+        result = { index, type: action.type, status: 'ok', error: null };
+      } catch (error) {
+        result = { index, type: action.type, status: 'failed', error: error.message };
+        if (action.optional) {
+          logger.warn(`步骤 ${index + 1} 失败，继续执行（optional）: ${error.message}`);
+        } else {
+          logger.warn(`步骤 ${index + 1} 失败，跳过后续步骤: ${error.message}`);
+          aborted = true;
+        }
+      }
+
+      result = {
+        ...result,
+        duration: Date.now() - startTime,
+        newVideos: Math.max(0, getVideoCount() - videoCount)
+      };
+      if (result.status === 'ok') {
+        logger.info(`步骤 ${index + 1} 完成 (${result.duration}ms${result.newVideos ? `，新增 ${result.newVideos} 个视频 URL` : ''})`);
+      }
+    }
+
+    results.push(result);
+    if (onStep) {
+      onStep(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 执行单个步骤
+ */
+async function runAction(page, action) {
+  const timeout = action.timeout || DEFAULT_STEP_TIMEOUT;
+
+  switch (action.type) {
+    case 'click': {
+      const element = await waitForElement(page, action.selector, timeout);
+      await element.click();
+      break;
+    }
+
+    case 'type': {
+      const element = await waitForElement(page, action.selector, timeout);
+      await element.type(action.text, { delay: action.delay || 0 });
+      break;
+    }
+
+    case 'press':
+      if (action.selector) {
+        await (await waitForElement(page, action.selector, timeout)).focus();
+      }
+      await page.keyboard.press(action.key);
+      break;
+
+    case 'scroll':
+      if (action.selector) {
+        await waitForElement(page, action.selector, timeout);
+      } else {
+        await page.evaluate(scrollWindow, { to: action.to || null, x: action.x || 0, y: action.y || 0 });
+      }
+      break;
+
+    case 'hover': {
+      const element = await waitForElement(page, action.selector, timeout);
+      await element.hover();
+      break;
+    }
+
+    case 'waitForSelector':
+      await page.waitForSelector(action.selector, {
+        timeout,
+        // hidden 为 true 时等待元素消失（如加载提示）
+        visible: action.hidden !== true && action.visible !== false,
+        hidden: action.hidden === true
+      });
+      break;
+
+    case 'waitForResponse':
+      await page.waitForResponse((response) => response.url().includes(action.url), { timeout });
+      break;
+
+    case 'wait':
+      await new Promise((resolve) => setTimeout(resolve, action.ms));
+      break;
+
+    case 'select': {
+      await waitForElement(page, action.selector, timeout);
+      const values = Array.isArray(action.value) ? action.value : [action.value];
+      const selected = await page.select(action.selector, ...values);
+      if (selected.length === 0) {
+        throw new Error(`下拉框中没有选项: ${values.join(', ')}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`不支持的操作: ${action.type}`);
+  }
+}
+
+/**
+ * 等待元素出现并滚动到视口中
+ */
+async function waitForElement(page, selector, timeout) {
+  const element = await page.waitForSelector(selector, { timeout, visible: true }).catch(() => null);
+  if (!element) {
+    throw new Error(`未找到元素: ${selector}（等待 ${timeout}ms）`);
+  }
+
+  await element.evaluate((node) => node.scrollIntoView({ block: 'center' }));
+  return element;
+}
+
+/**
+ * 滚动窗口（在页面中执行）：滚动到顶部 / 底部，或按 x、y 像素滚动
+ */
+function scrollWindow({ to, x, y }) {
+  if (to === 'bottom') {
+    window.scrollTo(0, document.documentElement.scrollHeight);
+  } else if (to === 'top') {
+    window.scrollTo(0, 0);
+  } else {
+    window.scrollBy(x, y);
+  }
+}
+
+/**
+ * 步骤的可读描述，用于日志
+ */
+function describeAction(action) {
+  const target = action.selector || action.key || action.url || (action.ms !== undefined ? `${action.ms}ms` : '') ||
+    action.to || (action.x || action.y ? `${action.x || 0},${action.y || 0}` : '');
+  return `${action.type}${target ? ` ${target}` : ''}${action.optional ? '（可选）' : ''}`;
+}
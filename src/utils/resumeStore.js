@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * 断点续传存储
+ * 任务信息保存在 temp/tasks/<taskId>.json，服务重启后仍可恢复；
+ * 已完成的片段记录在片段目录的 journal.jsonl 中（每行一条，追加写入）
+ */
+
+const TASKS_DIR = path.join(process.cwd(), 'temp', 'tasks');
+const JOURNAL_FILE = 'journal.jsonl';
+
+/**
+ * 任务ID是否可以安全地用作文件名
+ */
+export function isValidTaskId(taskId) {
+  return typeof taskId === 'string' && /^[\w-]+$/.test(taskId);
+}
+
+/**
+ * 保存任务信息，用于失败或重启后恢复
+ * @param {string} taskId - 任务ID
+ * @param {object} info - 任务信息（下载类型、URL、输出路径、选项）
+ */
+export function saveResumeInfo(taskId, info) {
+  if (!isValidTaskId(taskId)) {
+    throw new Error(`无效的任务ID: ${taskId}`);
+  }
+
+  if (!fs.existsSync(TASKS_DIR)) {
+    fs.mkdirSync(TASKS_DIR, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    path.join(TASKS_DIR, `${taskId}.json`),
+    JSON.stringify({ ...info, taskId, savedAt: Date.now() }, null, 2)
+  );
+}
+
+/**
+ * 读取任务信息
+ * @param {string} taskId - 任务ID
+ * @returns {object|null} 任务信息
+ */
+export function loadResumeInfo(taskId) {
+  if (!isValidTaskId(taskId)) {
+    return null;
+  }
+
+  const filePath = path.join(TASKS_DIR, `${taskId}.json`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    logger.warn(`读取任务信息失败: ${filePath} - ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 将任务标记为直播录制：录制中断后无法从中断处继续，恢复接口会拒绝该任务
+ * @param {string} taskId - 任务ID
+ */
+export function markLiveTask(taskId) {
+  const info = loadResumeInfo(taskId);
+  if (info && !info.live) {
+    const { savedAt, ...rest } = info;
+    saveResumeInfo(taskId, { ...rest, live: true });
+  }
+}
+
+/**
+ * 删除任务信息（任务完成后调用）
+ * @param {string} taskId - 任务ID
+ */
+export function removeResumeInfo(taskId) {
+  if (!isValidTaskId(taskId)) {
+    return;
+  }
+
+  const filePath = path.join(TASKS_DIR, `${taskId}.json`);
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    logger.warn(`删除任务信息失败: ${filePath} - ${error.message}`);
+  }
+}
+
+/**
+ * 计算片段列表的指纹，用于判断续传时选择的片段是否与上次一致
+ * 包含每个片段的地址、字节范围、初始化片段和密钥，以及影响选择结果的选项
+ * （不同的画质、表示、去广告规则或时间范围可能得到数量相同但内容不同的片段）
+ *
+ * @param {Array<object>} segments - 片段列表
+ * @param {object} extra - 其他需要比较的信息，如清单 URL、时间范围
+ * @returns {string} 指纹
+ */
+export function fingerprintSegments(segments, extra = {}) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(extra));
+
+  for (const segment of segments) {
+    const { map, key } = segment;
+    hash.update(JSON.stringify([
+      segment.uri,
+      segment.byterange || null,
+      map ? [map.uri, map.byterange || null] : null,
+      key ? [key.method, key.uri, key.iv ? key.iv.toString('hex') : null] : null
+    ]) + '\n');
+  }
+
+  return hash.digest('hex').slice(0, 32);
+}
+
+/**
+ * 打开片段目录的下载记录
+ * 片段数量或指纹与记录不一致时（播放列表或选择的片段已变化），清空目录重新下载
+ *
+ * @param {string} segmentDir - 片段目录
+ * @param {number} segmentCount - 片段数量
+ * @param {string} fingerprint - 片段指纹（fingerprintSegments 的结果）
+ * @returns {object} { isCompleted(filePath), markCompleted(filePath), markWritten(index, filePath), markMissing(index), written, missing, completedCount }
+ */
+export function openSegmentJournal(segmentDir, segmentCount, fingerprint = null) {
+  const journalPath = path.join(segmentDir, JOURNAL_FILE);
+  const completed = new Map(); // 文件名 -> 字节数
+  let written = null; // 按顺序写入的进度 { index, files: { 文件名: 字节数 } }
+  const missing = new Set(); // 下载失败、已跳过的片段序号（gapPolicy 为 lenient 时）
+
+  if (fs.existsSync(journalPath)) {
+    const lines = fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean);
+    let header = null;
+
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.segmentCount !== undefined) {
+          header = entry;
+        } else if (entry.written !== undefined) {
+          written = {
+            index: entry.written,
+            files: { ...(written && written.files), [entry.file]: entry.size }
+          };
+        } else if (entry.missing !== undefined) {
+          missing.add(entry.missing);
+        } else if (entry.file) {
+          completed.set(entry.file, entry.size);
+        }
+      } catch (error) {
+        // 最后一行可能在写入时中断，忽略
+      }
+    }
+
+    if (!header || header.segmentCount !== segmentCount || (header.fingerprint || null) !== fingerprint) {
+      logger.warn(`片段记录与当前播放列表不一致，重新下载: ${segmentDir}`);
+      completed.clear();
+      missing.clear();
+      written = null;
+      for (const file of fs.readdirSync(segmentDir)) {
+        fs.unlinkSync(path.join(segmentDir, file));
+      }
+    }
+  }
+
+  if (completed.size === 0 && missing.size === 0 && !written) {
+    fs.writeFileSync(journalPath, JSON.stringify({ segmentCount, fingerprint }) + '\n');
+  }
+
+  return {
+    /**
+     * 片段是否已下载且大小与记录一致
+     */
+    isCompleted(filePath) {
+      const size = completed.get(path.basename(filePath));
+      return size !== undefined && fs.existsSync(filePath) && fs.statSync(filePath).size === size;
+    },
+
+    /**
+     * 记录已完成的片段
+     */
+    markCompleted(filePath) {
+      const file = path.basename(filePath);
+      const size = fs.statSync(filePath).size;
+      completed.set(file, size);
+      fs.appendFileSync(journalPath, JSON.stringify({ file, size }) + '\n');
+    },
+
+    /**
+     * 记录片段已按顺序写入输出文件（记录输出文件当前大小，续传时截断到该大小）
+     */
+    markWritten(index, filePath) {
+      const file = path.basename(filePath);
+      const size = fs.statSync(filePath).size;
+      written = { index, files: { ...(written && written.files), [file]: size } };
+      fs.appendFileSync(journalPath, JSON.stringify({ written: index, file, size }) + '\n');
+    },
+
+    /**
+     * 记录已跳过的片段（续传时不再下载，结果中仍会列出）
+     */
+    markMissing(index) {
+      missing.add(index);
+      fs.appendFileSync(journalPath, JSON.stringify({ missing: index }) + '\n');
+    },
+
+    /**
+     * 最后写入的片段序号和各输出文件的大小，没有记录时返回 null
+     */
+    get written() {
+      return written;
+    },
+
+    /**
+     * 已跳过的片段序号
+     */
+    get missing() {
+      return [...missing];
+    },
+
+    get completedCount() {
+      return completed.size;
+    }
+  };
+}
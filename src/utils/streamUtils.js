@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * HLS / DASH 下载共用的工具函数
+ */
+
+/**
+ * 等待指定时间，收到停止信号时提前返回
+ *
+ * @param {number} ms - 等待时间，毫秒
+ * @param {AbortSignal} signal - 停止信号（可选）
+ * @returns {Promise<void>}
+ */
+export function waitOrStop(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * 将秒数格式化为 HH:MM:SS
+ */
+export function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((value) => value.toString().padStart(2, '0')).join(':');
+}
+
+/**
+ * 将进度回调的 0-100 映射到 start-end 区间
+ *
+ * @param {function} onProgress - 原进度回调 (progress, message)
+ * @param {number} start - 区间起点
+ * @param {number} end - 区间终点
+ * @param {string} label - 消息前缀（可选）
+ * @returns {function|null} 新的进度回调，没有原回调时返回 null
+ */
+export function scaleProgress(onProgress, start, end, label = null) {
+  if (!onProgress) {
+    return null;
+  }
+
+  return (progress, message) => {
+    onProgress(
+      start + (progress / 100) * (end - start),
+      label && message ? `${label}: ${message}` : message
+    );
+  };
+}
+
+/**
+ * 读取文件开头的字节，用于判断容器格式
+ */
+export function readFileHead(filePath, length = 512) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 轨道是否匹配语言（"en" 可以匹配 "en-US"，也可以直接写轨道名称）
+ *
+ * @param {string} trackLanguage - 轨道语言
+ * @param {string} trackName - 轨道名称（HLS 的 NAME、DASH 的标签）
+ * @param {string} language - 期望的语言
+ * @returns {boolean}
+ */
+export function matchesLanguage(trackLanguage, trackName, language) {
+  const wanted = language.toLowerCase();
+  const actual = (trackLanguage || '').toLowerCase();
+  return actual === wanted || actual.startsWith(`${wanted}-`) || (trackName || '').toLowerCase() === wanted;
+}
+
+/**
+ * 检查直播录制不支持的选项
+ * 直播录制只能从当前直播点开始按顺序追加片段：不能按时间范围选择、不能去除广告，
+ * 过期的片段无法重新获取（总是跳过），也不能断点续传
+ *
+ * @param {object} options - 下载选项
+ * @returns {string|null} 错误信息，没有不支持的选项时返回 null
+ */
+export function validateLiveOptions(options) {
+  const unsupported = [];
+  if (options.start != null || options.end != null) {
+    unsupported.push('start / end');
+  }
+  if (options.stripAds) {
+    unsupported.push('stripAds');
+  }
+  if (options.gapPolicy === 'strict') {
+    unsupported.push('gapPolicy: "strict"（直播中下载失败的片段总是跳过）');
+  }
+
+  return unsupported.length > 0 ? `直播录制不支持 ${unsupported.join('、')}` : null;
+}
+
+/**
+ * 删除临时目录及其中的文件
+ */
+export function cleanupTempFiles(dir) {
+  try {
+    if (fs.existsSync(dir)) {
+      const files = fs.readdirSync(dir);
+      for (const file of files) {
+        fs.unlinkSync(path.join(dir, file));
+      }
+      fs.rmdirSync(dir);
+    }
+  } catch (error) {
+    logger.warn(`清理临时文件失败: ${error.message}`);
+  }
+}
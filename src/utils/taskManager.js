@@ -1,5 +1,6 @@
 import { EventEmitter } from 'events';
 import { logger } from './logger.js';
+import { TokenBucket, formatRate } from './bandwidthLimiter.js';
 
 /**
  * 任务管理器
@@ -9,6 +10,8 @@ class TaskManager extends EventEmitter {
   constructor() {
     super();
     this.tasks = new Map();
+    this.abortControllers = new Map(); // taskId -> AbortController，用于停止任务
+    this.bandwidthBuckets = new Map(); // taskId -> TokenBucket，用于限制任务的下载速度
   }
 
   /**
@@ -37,8 +40,9 @@ class TaskManager extends EventEmitter {
    * @param {string} taskId - 任务ID
    * @param {number} progress - 进度百分比 (0-100)
    * @param {string} message - 状态消息
+   * @param {object} details - 附加状态（如直播录制时长），合并到任务信息中
    */
-  updateProgress(taskId, progress, message = null) {
+  updateProgress(taskId, progress, message = null, details = null) {
     const task = this.tasks.get(taskId);
     if (!task) {
       logger.warn(`任务不存在: ${taskId}`);
@@ -50,6 +54,9 @@ class TaskManager extends EventEmitter {
     if (message) {
       task.message = message;
     }
+    if (details) {
+      Object.assign(task, details);
+    }
 
     this.emit('progress', task);
     logger.debug(`任务 ${taskId} 进度: ${task.progress.toFixed(2)}%`);
@@ -67,6 +74,8 @@ class TaskManager extends EventEmitter {
       return;
     }
 
+    this.abortControllers.delete(taskId);
+    this.bandwidthBuckets.delete(taskId);
     task.status = 'completed';
     task.progress = 100;
     task.message = '下载完成';
@@ -82,16 +91,22 @@ class TaskManager extends EventEmitter {
    * 任务失败
    * @param {string} taskId - 任务ID
    * @param {string} error - 错误信息
+   * @param {string} errorCode - 错误类型（如内容检测失败时的 HTML_PAGE），可选
    */
-  failTask(taskId, error) {
+  failTask(taskId, error, errorCode = null) {
     const task = this.tasks.get(taskId);
     if (!task) {
       logger.warn(`任务不存在: ${taskId}`);
       return;
     }
 
+    this.abortControllers.delete(taskId);
+    this.bandwidthBuckets.delete(taskId);
     task.status = 'failed';
     task.message = error || '下载失败';
+    if (errorCode) {
+      task.errorCode = errorCode;
+    }
     task.endTime = Date.now();
     task.duration = task.endTime - task.startTime;
 
@@ -99,6 +114,77 @@ class TaskManager extends EventEmitter {
     logger.error(`任务失败: ${taskId} - ${error}`);
   }
 
+  /**
+   * 获取任务的停止信号
+   * @param {string} taskId - 任务ID
+   * @returns {AbortSignal} 停止信号
+   */
+  getAbortSignal(taskId) {
+    if (!this.abortControllers.has(taskId)) {
+      this.abortControllers.set(taskId, new AbortController());
+    }
+    return this.abortControllers.get(taskId).signal;
+  }
+
+  /**
+   * 获取任务的令牌桶，任务的所有连接和片段请求共用
+   * @param {string} taskId - 任务ID
+   * @param {number|null} maxBytesPerSecond - 创建时的限速（字节/秒），null 表示不限速
+   * @returns {TokenBucket} 令牌桶
+   */
+  getBandwidthBucket(taskId, maxBytesPerSecond = null) {
+    if (!this.bandwidthBuckets.has(taskId)) {
+      this.bandwidthBuckets.set(taskId, new TokenBucket(maxBytesPerSecond));
+      const task = this.tasks.get(taskId);
+      if (task) {
+        task.maxBytesPerSecond = maxBytesPerSecond || null;
+      }
+    }
+    return this.bandwidthBuckets.get(taskId);
+  }
+
+  /**
+   * 修改任务的限速，正在下载的连接立即按新的速度继续
+   * @param {string} taskId - 任务ID
+   * @param {number|null} maxBytesPerSecond - 限速（字节/秒），null 表示取消限速
+   * @returns {boolean} 是否已修改（任务不存在或已结束时返回 false）
+   */
+  setBandwidthLimit(taskId, maxBytesPerSecond) {
+    const task = this.tasks.get(taskId);
+    const bucket = this.bandwidthBuckets.get(taskId);
+    if (!task || !bucket) {
+      return false;
+    }
+
+    bucket.setRate(maxBytesPerSecond);
+    task.maxBytesPerSecond = maxBytesPerSecond || null;
+
+    this.emit('progress', task);
+    logger.info(`任务 ${taskId} 限速: ${formatRate(bucket.rate)}`);
+    return true;
+  }
+
+  /**
+   * 请求停止任务
+   * @param {string} taskId - 任务ID
+   * @returns {boolean} 是否已发送停止请求
+   */
+  stopTask(taskId) {
+    const task = this.tasks.get(taskId);
+    const controller = this.abortControllers.get(taskId);
+    if (!task || !controller) {
+      return false;
+    }
+
+    task.stopRequested = true;
+    task.message = '正在停止...';
+    controller.abort();
+
+    this.emit('progress', task);
+    logger.info(`请求停止任务: ${taskId}`);
+    return true;
+  }
+
   /**
    * 获取任务信息
    * @param {string} taskId - 任务ID
@@ -114,6 +200,8 @@ class TaskManager extends EventEmitter {
    */
   removeTask(taskId) {
     this.tasks.delete(taskId);
+    this.abortControllers.delete(taskId);
+    this.bandwidthBuckets.delete(taskId);
     logger.info(`删除任务: ${taskId}`);
   }
 
@@ -132,6 +220,8 @@ class TaskManager extends EventEmitter {
     const toRemove = tasks.slice(keepCount);
     toRemove.forEach(task => {
       this.tasks.delete(task.id);
+      this.abortControllers.delete(task.id);
+      this.bandwidthBuckets.delete(task.id);
     });
 
     logger.info(`清理了 ${toRemove.length} 个旧任务`);
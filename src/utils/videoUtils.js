@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { getCookieHeaders, refreshCookieHeader } from './cookieStore.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
@@ -49,8 +50,10 @@ export async function getVideoSize(url, options = {}) {
     // 使用 HEAD 请求获取文件大小（不下载文件内容）
     const response = await axios.head(url, {
       timeout,
+      headers: getCookieHeaders(url),
       validateStatus: (status) => status < 500, // 允许 404 等状态
-      maxRedirects: 5
+      maxRedirects: 5,
+      beforeRedirect: refreshCookieHeader
     });
 
     // 检查响应状态
@@ -85,8 +88,10 @@ export async function getVideoSize(url, options = {}) {
       try {
         const response = await axios.get(url, {
           timeout: options.timeout || 10000,
+          headers: getCookieHeaders(url),
           validateStatus: () => true,
           maxRedirects: 5,
+          beforeRedirect: refreshCookieHeader,
           // 只读取响应头，不下载内容
           maxContentLength: 0,
           maxBodyLength: 0
@@ -193,3 +198,122 @@ export function extractFilename(url, defaultName = 'video') {
   }
 }
 
+
+/**
+ * 根据文件头判断容器格式
+ * 
+ * @param {Buffer} buffer - 文件开头的数据
+ * @returns {string} ts | fmp4 | mp4 | webm | unknown
+ */
+export function detectContainer(buffer) {
+  if (!buffer || buffer.length < 8) {
+    return 'unknown';
+  }
+
+  // MPEG-TS：每 188 字节一个包，以同步字节 0x47 开头
+  if (buffer[0] === 0x47 && (buffer.length <= 188 || buffer[188] === 0x47)) {
+    return 'ts';
+  }
+
+  // ISO-BMFF：第 4-8 字节为 box 类型
+  const boxType = buffer.toString('latin1', 4, 8);
+  if (boxType === 'moof' || boxType === 'styp' || boxType === 'sidx') {
+    return 'fmp4';
+  }
+  if (boxType === 'ftyp') {
+    // 初始化片段只有 ftyp + moov，其中 moov 包含 mvex 说明是分片 MP4
+    return buffer.includes('mvex', 0, 'latin1') ? 'fmp4' : 'mp4';
+  }
+
+  // WebM / Matroska：EBML 头
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return 'webm';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * 按时间范围选择片段，只保留与 [start, end) 有重叠的片段
+ * 
+ * @param {Array<object>} segments - 片段列表，每个片段包含 duration（秒）
+ * @param {number|null} start - 开始时间（秒），默认从头开始
+ * @param {number|null} end - 结束时间（秒），默认到结尾
+ * @returns {object} { segments, clip }
+ *   clip.offset 为开始时间相对于第一个保留片段的偏移，clip.duration 为需要保留的时长
+ */
+export function selectTimeRange(segments, start = null, end = null) {
+  const clipStart = start || 0;
+  const selected = [];
+  let time = 0;
+  let rangeStart = null;
+  let rangeEnd = 0;
+
+  for (const segment of segments) {
+    const segmentStart = time;
+    const segmentEnd = time + (segment.duration || 0);
+    time = segmentEnd;
+
+    if (segmentEnd <= clipStart || (end !== null && segmentStart >= end)) {
+      continue;
+    }
+
+    if (rangeStart === null) {
+      rangeStart = segmentStart;
+    }
+    rangeEnd = segmentEnd;
+    selected.push(segment);
+  }
+
+  if (selected.length === 0) {
+    throw new Error(`时间范围超出视频时长: ${clipStart}s - ${end ?? '结尾'}（总时长 ${time.toFixed(3)}s）`);
+  }
+
+  const clipEnd = end === null ? rangeEnd : Math.min(end, rangeEnd);
+
+  return {
+    segments: selected,
+    clip: {
+      start: clipStart,
+      end: clipEnd,
+      rangeStart,
+      rangeEnd,
+      offset: clipStart - rangeStart,
+      duration: clipEnd - clipStart
+    }
+  };
+}
+
+/**
+ * 汇总缺失的片段，按片段时长计算缺失的时间范围，相邻的缺失片段合并为一段
+ *
+ * @param {Array<object>} segments - 片段列表，每个片段包含 duration（秒）
+ * @param {Iterable<number>} missingIndexes - 缺失片段的索引
+ * @param {number} startTime - 第一个片段的开始时间（秒）
+ * @returns {object} { missingSegments, gaps }，gaps 为 [{ start, end, segments }]
+ */
+export function summarizeGaps(segments, missingIndexes, startTime = 0) {
+  const missingSegments = [...new Set(missingIndexes)].sort((a, b) => a - b);
+  const starts = [];
+  let time = startTime;
+  for (const segment of segments) {
+    starts.push(time);
+    time += segment.duration || 0;
+  }
+
+  const gaps = [];
+  for (const index of missingSegments) {
+    const start = starts[index];
+    const end = start + (segments[index].duration || 0);
+    const last = gaps[gaps.length - 1];
+
+    if (last && last.segments[last.segments.length - 1] === index - 1) {
+      last.end = end;
+      last.segments.push(index);
+    } else {
+      gaps.push({ start, end, segments: [index] });
+    }
+  }
+
+  return { missingSegments, gaps };
+}
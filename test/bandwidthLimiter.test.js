@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIN_BYTES_PER_SECOND, TokenBucket, parseBandwidth } from '../src/utils/bandwidthLimiter.js';
+
+/**
+ * 执行函数并返回耗时（毫秒）
+ */
+async function measure(fn) {
+  const start = Date.now();
+  await fn();
+  return Date.now() - start;
+}
+
+test('不限速时不等待', async () => {
+  const bucket = new TokenBucket(null);
+  const elapsed = await measure(() => bucket.consume(100 * 1024 * 1024));
+  assert.ok(elapsed < 50, `耗时 ${elapsed}ms`);
+});
+
+test('初始令牌用完后按限速等待', async () => {
+  const bucket = new TokenBucket(100000);
+
+  // 最多积累 1 秒的令牌，第一次不需要等待
+  assert.ok(await measure(() => bucket.consume(100000)) < 50);
+
+  // 欠 50000 字节，约需等待 0.5 秒
+  const elapsed = await measure(() => bucket.consume(50000));
+  assert.ok(elapsed >= 450 && elapsed < 1000, `耗时 ${elapsed}ms`);
+});
+
+test('多个请求按顺序共享限速', async () => {
+  const bucket = new TokenBucket(100000);
+  await bucket.consume(100000);
+
+  const elapsed = await measure(() => Promise.all([bucket.consume(25000), bucket.consume(25000)]));
+  assert.ok(elapsed >= 450 && elapsed < 1000, `耗时 ${elapsed}ms`);
+});
+
+test('等待期间修改限速立即生效', async () => {
+  const bucket = new TokenBucket(20000);
+  await bucket.consume(20000);
+
+  // 按原来的限速需要等待 5 秒
+  const waiting = measure(() => bucket.consume(100000));
+  setTimeout(() => bucket.setRate(null), 100);
+  const elapsed = await waiting;
+  assert.ok(elapsed < 600, `耗时 ${elapsed}ms`);
+});
+
+test('限速不低于最低值', () => {
+  assert.equal(new TokenBucket(1000).rate, MIN_BYTES_PER_SECOND);
+  assert.equal(new TokenBucket(0).rate, null);
+});
+
+test('解析带宽设置', () => {
+  assert.equal(parseBandwidth('512'), 512);
+  assert.equal(parseBandwidth('512K'), 512 * 1024);
+  assert.equal(parseBandwidth('1.5MB'), 1.5 * 1024 * 1024);
+  assert.equal(parseBandwidth('2GiB'), 2 * 1024 ** 3);
+  assert.equal(parseBandwidth(''), null);
+  assert.equal(parseBandwidth('fast'), null);
+  assert.equal(parseBandwidth('0'), null);
+});
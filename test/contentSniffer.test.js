@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidContentError, assertContent, sniffContent } from '../src/utils/contentSniffer.js';
+
+/**
+ * 构造 MPEG-TS 数据（两个以同步字节开头的包）
+ */
+function tsPackets() {
+  const buffer = Buffer.alloc(376);
+  buffer[0] = 0x47;
+  buffer[188] = 0x47;
+  return buffer;
+}
+
+test('识别媒体容器', () => {
+  const ftyp = Buffer.alloc(16);
+  ftyp.writeUInt32BE(16, 0);
+  ftyp.write('ftypisom', 4, 'latin1');
+
+  assert.deepEqual(sniffContent(tsPackets()), { kind: 'media', format: 'ts' });
+  assert.deepEqual(sniffContent(ftyp), { kind: 'media', format: 'mp4' });
+  assert.deepEqual(sniffContent(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81])), { kind: 'media', format: 'webm' });
+  assert.deepEqual(sniffContent(Buffer.from('ID3\x04\x00\x00\x00\x00', 'latin1')), { kind: 'media', format: 'id3' });
+  assert.deepEqual(sniffContent(Buffer.from([0xff, 0xf1, 0x50, 0x80])), { kind: 'media', format: 'mpeg-audio' });
+});
+
+test('MPEG-TS 需要完整的包和连续的同步字节', () => {
+  const packets = Buffer.alloc(600);
+  for (let offset = 0; offset < packets.length; offset += 188) {
+    packets[offset] = 0x47;
+  }
+  assert.equal(sniffContent(packets).format, 'ts');
+  assert.equal(sniffContent(packets.subarray(0, 188)).format, 'ts');
+
+  // 不足一个包
+  assert.equal(sniffContent(packets.subarray(0, 100)).format, null);
+  // 第三个包没有同步字节
+  const broken = Buffer.from(packets);
+  broken[376] = 0x00;
+  assert.equal(sniffContent(broken).format, null);
+});
+
+test('Annex B 起始码后需要有效的 NAL 头', () => {
+  // H.264 SPS、H.265 VPS
+  assert.equal(sniffContent(Buffer.from([0x00, 0x00, 0x00, 0x01, 0x67, 0x64, 0x00, 0x1f])).format, 'annexb');
+  assert.equal(sniffContent(Buffer.from([0x00, 0x00, 0x01, 0x40, 0x01, 0x0c, 0x01])).format, 'annexb');
+
+  // forbidden_zero_bit 为 1
+  assert.equal(sniffContent(Buffer.from([0x00, 0x00, 0x00, 0x01, 0xe5, 0x88, 0x84, 0x00])).format, null);
+  // H.264 类型 24 且 H.265 nuh_temporal_id_plus1 为 0
+  assert.equal(sniffContent(Buffer.from([0x00, 0x00, 0x01, 0x18, 0x00, 0x00, 0x00])).format, null);
+});
+
+test('识别文本和图片', () => {
+  assert.equal(sniffContent(Buffer.from('<!DOCTYPE html><html><body>登录</body></html>')).kind, 'html');
+  assert.equal(sniffContent(Buffer.from('\uFEFF  {"error": "forbidden"}')).kind, 'json');
+  assert.equal(sniffContent(Buffer.from('<?xml version="1.0"?><Error><Code>AccessDenied</Code></Error>')).kind, 'xml');
+  assert.equal(sniffContent(Buffer.from('#EXTM3U\n#EXT-X-VERSION:3\n')).kind, 'playlist');
+  assert.equal(sniffContent(Buffer.from('WEBVTT\n\n00:00.000 --> 00:01.000\nhi\n')).kind, 'subtitle');
+  assert.equal(sniffContent(Buffer.from('Access denied')).kind, 'text');
+  assert.deepEqual(sniffContent(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), { kind: 'image', format: 'png' });
+  assert.deepEqual(sniffContent(Buffer.alloc(0)), { kind: 'unknown', format: null });
+});
+
+test('assertContent 接受预期的内容', () => {
+  assert.equal(assertContent(tsPackets()), 'ts');
+  assert.equal(assertContent(Buffer.from('WEBVTT\n'), { expect: 'subtitle' }), null);
+  // 加密数据没有特征字节
+  assert.equal(assertContent(Buffer.from([0x8e, 0x12, 0x00, 0xa1, 0x33, 0x07]), { expect: 'encrypted' }), null);
+});
+
+test('assertContent 拒绝网页和接口错误', () => {
+  assert.throws(
+    () => assertContent(Buffer.from('<html><head><title>验证</title></head></html>'), { label: '片段' }),
+    (error) => {
+      assert.ok(error instanceof InvalidContentError);
+      assert.equal(error.code, 'HTML_PAGE');
+      assert.equal(error.detected, 'html');
+      assert.match(error.message, /^片段内容不是视频数据/);
+      return true;
+    }
+  );
+
+  assert.throws(
+    () => assertContent(Buffer.from('{"code": 403}'), { expect: 'encrypted' }),
+    { code: 'JSON_RESPONSE' }
+  );
+  assert.throws(
+    () => assertContent(tsPackets(), { expect: 'subtitle' }),
+    { code: 'UNEXPECTED_MEDIA', detected: 'ts' }
+  );
+});
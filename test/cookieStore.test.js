@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Cookie 保存在当前目录的 temp/cookies.json 中，在临时目录中运行，不影响已导入的 Cookie
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-store-')));
+const { importCookies, parseCookies } = await import('../src/utils/cookieStore.js');
+const { getVideoSize } = await import('../src/utils/videoUtils.js');
+
+test('解析 Netscape 格式（cookies.txt）', () => {
+  const cookies = parseCookies([
+    '# Netscape HTTP Cookie File',
+    '',
+    '.example.com\tTRUE\t/\tTRUE\t1900000000\tsession\tabc\tdef',
+    '#HttpOnly_www.example.com\tFALSE\t/video\tFALSE\t0\ttoken\t123'
+  ].join('\n'));
+
+  assert.deepEqual(cookies, [
+    {
+      name: 'session',
+      value: 'abc\tdef',
+      domain: 'example.com',
+      includeSubdomains: true,
+      path: '/',
+      secure: true,
+      httpOnly: false,
+      expires: 1900000000,
+      sameSite: null
+    },
+    {
+      name: 'token',
+      value: '123',
+      domain: 'www.example.com',
+      includeSubdomains: false,
+      path: '/video',
+      secure: false,
+      httpOnly: true,
+      expires: null,
+      sameSite: null
+    }
+  ]);
+});
+
+test('部分工具导出的 cookies.txt 用空格分隔', () => {
+  const [cookie] = parseCookies('example.com FALSE / FALSE 0 name value');
+  assert.equal(cookie.name, 'name');
+  assert.equal(cookie.value, 'value');
+  assert.equal(cookie.includeSubdomains, false);
+});
+
+test('解析浏览器扩展导出的 JSON', () => {
+  const [cookie] = parseCookies(JSON.stringify([{
+    name: 'sid',
+    value: 1,
+    domain: '.Example.com',
+    hostOnly: false,
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    expirationDate: 1900000000.5,
+    sameSite: 'no_restriction'
+  }]));
+
+  assert.deepEqual(cookie, {
+    name: 'sid',
+    value: '1',
+    domain: 'example.com',
+    includeSubdomains: true,
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    expires: 1900000000,
+    sameSite: 'None'
+  });
+});
+
+test('解析 Puppeteer / Playwright 导出的 JSON（包含 cookies 数组，expires 为 -1 表示会话 Cookie）', () => {
+  const [hostOnly, subdomains] = parseCookies({
+    cookies: [
+      { name: 'a', value: '1', domain: 'example.com', expires: -1 },
+      { name: 'b', value: '2', domain: '.example.com', sameSite: 'Lax' }
+    ]
+  });
+
+  assert.equal(hostOnly.includeSubdomains, false);
+  assert.equal(hostOnly.expires, null);
+  assert.equal(subdomains.includeSubdomains, true);
+  assert.equal(subdomains.sameSite, 'Lax');
+});
+
+test('格式无效时抛出错误', () => {
+  assert.throws(() => parseCookies(''), /Cookie 内容为空/);
+  assert.throws(() => parseCookies('example.com\tTRUE\t/'), /第 1 行格式无效/);
+  assert.throws(() => parseCookies('example.com\tTRUE\t/\tFALSE\tnever\tname\tvalue'), /过期时间无效/);
+  assert.throws(() => parseCookies('{"foo": 1}'), /必须是数组/);
+  assert.throws(() => parseCookies('[{"value": "1", "domain": "a.com"}]'), /cookies\[0\] 缺少 name/);
+  assert.throws(() => parseCookies('[{"name": "a", "value": "1"}]'), /缺少 domain/);
+  assert.throws(() => parseCookies('[{"name": "a", "value": "x;y", "domain": "a.com"}]'), /无效字符/);
+});
+
+test('重定向到其他主机时按新的主机发送 Cookie', async () => {
+  const received = {};
+  const server = http.createServer((req, res) => {
+    received[req.url] = req.headers.cookie || null;
+    if (req.url === '/start') {
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/video.mp4` });
+    } else {
+      res.writeHead(200, { 'Content-Length': 1024 });
+    }
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  try {
+    importCookies(parseCookies([
+      '127.0.0.1\tFALSE\t/\tFALSE\t0\torigin\t1',
+      'localhost\tFALSE\t/\tFALSE\t0\tcdn\t2'
+    ].join('\n')));
+
+    const result = await getVideoSize(`http://127.0.0.1:${server.address().port}/start`);
+
+    assert.equal(result.size, 1024);
+    assert.deepEqual(received, { '/start': 'origin=1', '/video.mp4': 'cdn=2' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTrimEncoders } from '../src/utils/ffmpeg.js';
+
+const aligned = { offset: 0, duration: 6 };
+const unaligned = { offset: 1.5, duration: 6 };
+
+test('起点在片段边界上时复制流', () => {
+  assert.equal(getTrimEncoders(aligned, 'mp4', null), null);
+  assert.equal(getTrimEncoders(aligned, 'webm', null), null);
+});
+
+test('起点不在片段边界上时任何编码都重新编码', () => {
+  for (const codec of ['h264', 'hevc', 'vp9', 'av1', null]) {
+    assert.equal(getTrimEncoders(unaligned, 'mp4', codec).video, 'libx264', codec);
+    assert.equal(getTrimEncoders(unaligned, 'ts', codec).video, 'libx264', codec);
+  }
+});
+
+test('WebM 和 VP9 / AV1 源的 MKV 编码为 VP9', () => {
+  assert.deepEqual(
+    [getTrimEncoders(unaligned, 'webm', 'vp9'), getTrimEncoders(unaligned, 'mkv', 'av1')].map(({ video, audio }) => [video, audio]),
+    [['libvpx-vp9', 'libopus'], ['libvpx-vp9', 'libopus']]
+  );
+  assert.equal(getTrimEncoders(unaligned, 'mkv', 'vp9').video, 'libvpx-vp9');
+
+  const hevc = getTrimEncoders(unaligned, 'mkv', 'hevc');
+  assert.equal(hevc.video, 'libx264');
+  assert.equal(hevc.audio, 'aac');
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// 不使用 ffmpeg，输出为解密后片段的直接拼接
+process.env.FFMPEG_PATH = path.join(os.tmpdir(), 'no-such-ffmpeg');
+const { downloadHLS } = await import('../src/core/hls-handler.js');
+
+const KEYS = {
+  '/key1.bin': crypto.randomBytes(16),
+  '/key2.bin': crypto.randomBytes(16)
+};
+const EXPLICIT_IV = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+const MEDIA_SEQUENCE = 7;
+
+/**
+ * 构造 3 个 MPEG-TS 包的明文片段，包中写入片段序号
+ */
+function plainSegment(index) {
+  const buffer = Buffer.alloc(188 * 3);
+  for (let offset = 0; offset < buffer.length; offset += 188) {
+    buffer[offset] = 0x47;
+    buffer.write(`segment-${index}`, offset + 4, 'latin1');
+  }
+  return buffer;
+}
+
+/**
+ * 媒体序列号生成的 IV（大端序，补齐 16 字节）
+ */
+function sequenceIv(sequence) {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+}
+
+function encrypt(data, key, iv) {
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// s0、s1 使用 key1 和显式 IV；s2、s3 换成 key2，未指定 IV（使用序列号）；s4 不加密
+const plain = [0, 1, 2, 3, 4].map(plainSegment);
+const bodies = {
+  '/s0.ts': encrypt(plain[0], KEYS['/key1.bin'], EXPLICIT_IV),
+  '/s1.ts': encrypt(plain[1], KEYS['/key1.bin'], EXPLICIT_IV),
+  '/s2.ts': encrypt(plain[2], KEYS['/key2.bin'], sequenceIv(MEDIA_SEQUENCE + 2)),
+  '/s3.ts': encrypt(plain[3], KEYS['/key2.bin'], sequenceIv(MEDIA_SEQUENCE + 3)),
+  '/s4.ts': plain[4],
+  '/v.m3u8': Buffer.from([
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-TARGETDURATION:2',
+    `#EXT-X-MEDIA-SEQUENCE:${MEDIA_SEQUENCE}`,
+    `#EXT-X-KEY:METHOD=AES-128,URI="key1.bin",IV=0x${EXPLICIT_IV.toString('hex')}`,
+    '#EXTINF:2,', 's0.ts',
+    '#EXTINF:2,', 's1.ts',
+    '#EXT-X-KEY:METHOD=AES-128,URI="key2.bin"',
+    '#EXTINF:2,', 's2.ts',
+    '#EXTINF:2,', 's3.ts',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:2,', 's4.ts',
+    '#EXT-X-ENDLIST',
+    ''
+  ].join('\n'))
+};
+
+const requests = {};
+let server;
+let baseUrl;
+let workDir;
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-decryption-'));
+  server = http.createServer((req, res) => {
+    requests[req.url] = (requests[req.url] || 0) + 1;
+    const body = KEYS[req.url] || bodies[req.url];
+    if (!body) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('AES-128 片段按显式 IV、序列号 IV 解密，密钥轮换后使用新密钥', async () => {
+  const result = await downloadHLS(`${baseUrl}/v.m3u8`, path.join(workDir, 'out.mp4'), {
+    tempDir: path.join(workDir, 'tmp'),
+    retries: 1
+  });
+
+  assert.equal(result.remuxMethod, 'none');
+  assert.deepEqual(fs.readFileSync(result.outputPath), Buffer.concat(plain));
+
+  // 每个密钥只下载一次
+  assert.equal(requests['/key1.bin'], 1);
+  assert.equal(requests['/key2.bin'], 1);
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OrderedWriter } from '../src/utils/orderedWriter.js';
+
+let spillDir;
+
+beforeEach(() => {
+  spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordered-writer-'));
+});
+
+afterEach(() => {
+  fs.rmSync(spillDir, { recursive: true, force: true });
+});
+
+test('片段乱序到达时按序号写入', async () => {
+  const written = [];
+  const writer = new OrderedWriter(async (index, data) => written.push([index, data.toString()]), { spillDir });
+
+  writer.push(2, Buffer.from('c'));
+  writer.push(0, Buffer.from('a'));
+  await writer.push(1, Buffer.from('b'));
+
+  assert.deepEqual(written, [[0, 'a'], [1, 'b'], [2, 'c']]);
+  assert.equal(writer.nextIndex, 3);
+  assert.equal(writer.bufferedBytes, 0);
+});
+
+test('超过内存上限时暂存到磁盘，轮到时读回并删除临时文件', async () => {
+  const written = [];
+  const spilled = [];
+  const writer = new OrderedWriter(async (index, data) => written.push([index, data.toString()]), {
+    spillDir,
+    maxBufferedBytes: 4,
+    onSpill: (index) => spilled.push(index)
+  });
+
+  await writer.push(1, Buffer.from('bbb'));
+  await writer.push(2, Buffer.from('ccc'));
+  assert.deepEqual(spilled, [2]);
+  assert.equal(writer.bufferedBytes, 3);
+  assert.ok(fs.existsSync(writer.getSpillPath(2)));
+
+  await writer.push(0, Buffer.from('aaa'));
+  assert.deepEqual(written, [[0, 'aaa'], [1, 'bbb'], [2, 'ccc']]);
+  assert.equal(writer.bufferedBytes, 0);
+  assert.deepEqual(fs.readdirSync(spillDir), []);
+});
+
+test('spillPending 跳过正在写入的片段', async () => {
+  const written = [];
+  const spilled = [];
+  let release;
+  const blocked = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  const writer = new OrderedWriter(async (index, data) => {
+    if (index === 0) {
+      await blocked;
+    }
+    written.push([index, data.toString()]);
+  }, { spillDir, onSpill: (index) => spilled.push(index) });
+
+  const done = writer.push(0, Buffer.from('a'));
+  writer.push(1, Buffer.from('b'));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(writer.writingIndex, 0);
+  writer.spillPending();
+  assert.deepEqual(spilled, [1]);
+
+  release();
+  await done;
+  await writer.queue;
+
+  assert.deepEqual(written, [[0, 'a'], [1, 'b']]);
+  assert.equal(writer.bufferedBytes, 0);
+  assert.equal(writer.writingIndex, null);
+  assert.deepEqual(fs.readdirSync(spillDir), []);
+});
+
+test('断点续传时从 startIndex 开始写入已暂存的片段', async () => {
+  const written = [];
+  const filePath = path.join(spillDir, 'spill_000005.bin');
+  fs.writeFileSync(filePath, 'f');
+
+  const writer = new OrderedWriter(async (index, data) => written.push([index, data.toString()]), {
+    spillDir,
+    startIndex: 5
+  });
+  await writer.pushSpilled(5, filePath);
+
+  assert.deepEqual(written, [[5, 'f']]);
+  assert.equal(fs.existsSync(filePath), false);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSidx } from '../src/core/dash-handler.js';
+
+/**
+ * 构造 ISO-BMFF box
+ */
+function box(type, payload) {
+  const buffer = Buffer.alloc(8 + payload.length);
+  buffer.writeUInt32BE(buffer.length, 0);
+  buffer.write(type, 4, 'latin1');
+  payload.copy(buffer, 8);
+  return buffer;
+}
+
+/**
+ * 构造 sidx box，references 为 [{ size, duration }]
+ */
+function sidxBox({ version = 0, timescale = 1000, earliest = 0, firstOffset = 0, references = [] }) {
+  const header = Buffer.alloc(version === 0 ? 20 : 28);
+  header.writeUInt8(version, 0);
+  header.writeUInt32BE(1, 4); // reference_ID
+  header.writeUInt32BE(timescale, 8);
+  if (version === 0) {
+    header.writeUInt32BE(earliest, 12);
+    header.writeUInt32BE(firstOffset, 16);
+  } else {
+    header.writeBigUInt64BE(BigInt(earliest), 12);
+    header.writeBigUInt64BE(BigInt(firstOffset), 20);
+  }
+
+  const counts = Buffer.alloc(4);
+  counts.writeUInt16BE(references.length, 2);
+
+  const entries = references.map(({ size, duration, type = 0 }) => {
+    const entry = Buffer.alloc(12);
+    entry.writeUInt32BE(((type << 31) | size) >>> 0, 0);
+    entry.writeUInt32BE(duration, 4);
+    entry.writeUInt32BE(0x90000000, 8); // starts_with_SAP
+    return entry;
+  });
+
+  return box('sidx', Buffer.concat([header, counts, ...entries]));
+}
+
+test('解析 version 0 的 sidx', () => {
+  const sidx = sidxBox({
+    timescale: 90000,
+    earliest: 1800,
+    firstOffset: 0,
+    references: [{ size: 1000, duration: 180000 }, { size: 2000, duration: 90000 }]
+  });
+
+  const index = parseSidx(sidx);
+  assert.equal(index.timescale, 90000);
+  assert.equal(index.earliestPresentationTime, 1800);
+  assert.equal(index.firstOffset, 0);
+  assert.equal(index.boxEnd, sidx.length);
+  assert.deepEqual(index.references, [
+    { referenceType: 0, referencedSize: 1000, subsegmentDuration: 180000 },
+    { referenceType: 0, referencedSize: 2000, subsegmentDuration: 90000 }
+  ]);
+});
+
+test('解析 version 1 的 sidx（64 位时间和偏移）', () => {
+  const index = parseSidx(sidxBox({
+    version: 1,
+    earliest: 2 ** 33,
+    firstOffset: 64,
+    references: [{ size: 500, duration: 1000, type: 1 }]
+  }));
+
+  assert.equal(index.earliestPresentationTime, 2 ** 33);
+  assert.equal(index.firstOffset, 64);
+  assert.deepEqual(index.references, [{ referenceType: 1, referencedSize: 500, subsegmentDuration: 1000 }]);
+});
+
+test('indexRange 从其他 box 开始时，boxEnd 为 sidx 末尾在数据中的位置', () => {
+  const styp = box('styp', Buffer.from('msdh'));
+  const sidx = sidxBox({ references: [{ size: 100, duration: 1000 }] });
+
+  const index = parseSidx(Buffer.concat([styp, sidx]));
+  assert.equal(index.boxEnd, styp.length + sidx.length);
+  assert.equal(index.references.length, 1);
+});
+
+test('没有 sidx 或 box 大小无效时抛出错误', () => {
+  assert.throws(() => parseSidx(box('moov', Buffer.alloc(8))), /未找到 sidx/);
+
+  const invalid = Buffer.alloc(16);
+  invalid.write('free', 4, 'latin1');
+  assert.throws(() => parseSidx(invalid), /sidx 索引格式错误/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectTimeRange } from '../src/utils/videoUtils.js';
+
+const segments = [
+  { uri: 's0', duration: 4 },
+  { uri: 's1', duration: 4 },
+  { uri: 's2', duration: 4 },
+  { uri: 's3', duration: 2 }
+];
+
+test('只保留与时间范围有重叠的片段', () => {
+  const { segments: selected, clip } = selectTimeRange(segments, 5, 9);
+
+  assert.deepEqual(selected.map((segment) => segment.uri), ['s1', 's2']);
+  assert.deepEqual(clip, { start: 5, end: 9, rangeStart: 4, rangeEnd: 12, offset: 1, duration: 4 });
+});
+
+test('时间范围在片段边界上时不包含相邻片段', () => {
+  const { segments: selected, clip } = selectTimeRange(segments, 4, 8);
+
+  assert.deepEqual(selected.map((segment) => segment.uri), ['s1']);
+  assert.equal(clip.offset, 0);
+  assert.equal(clip.rangeEnd, clip.end);
+});
+
+test('只指定开始或结束时间', () => {
+  const fromStart = selectTimeRange(segments, 10, null);
+  assert.deepEqual(fromStart.segments.map((segment) => segment.uri), ['s2', 's3']);
+  assert.deepEqual(fromStart.clip, { start: 10, end: 14, rangeStart: 8, rangeEnd: 14, offset: 2, duration: 4 });
+
+  const toEnd = selectTimeRange(segments, null, 3);
+  assert.deepEqual(toEnd.segments.map((segment) => segment.uri), ['s0']);
+  assert.deepEqual(toEnd.clip, { start: 0, end: 3, rangeStart: 0, rangeEnd: 4, offset: 0, duration: 3 });
+});
+
+test('结束时间超出总时长时截到最后一个片段', () => {
+  const { clip } = selectTimeRange(segments, 13, 100);
+  assert.equal(clip.end, 14);
+  assert.equal(clip.duration, 1);
+});
+
+test('时间范围超出视频时长时抛出错误', () => {
+  assert.throws(() => selectTimeRange(segments, 14, null), /时间范围超出视频时长: 14s - 结尾（总时长 14.000s）/);
+});